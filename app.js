@@ -1,5 +1,15 @@
 import * as THREE from "./three.module.js";
 import { GLTFLoader } from "./GLTFLoader.js";
+import { DRACOLoader } from "./DRACOLoader.js";
+import { MeshoptDecoder } from "./meshopt_decoder.module.js";
+import { KTX2Loader } from "./KTX2Loader.js";
+import { OrbitControls } from "./OrbitControls.js";
+import { USDZExporter } from "./USDZExporter.js";
+import { RGBELoader } from "./RGBELoader.js";
+import { RoomEnvironment } from "./RoomEnvironment.js";
+import { downloadBlob } from "./download.js";
+import { createPlacedAnchor, updatePlacedAnchors, getNativeBox } from "./placement.js";
+import { diagLog, createDiagnosticsOverlay, removeDiagnosticsOverlay, setDiagnosticsField, initDebugMode, isDebugEnabled, setDebugEnabled } from "./diagnostics.js";
 
 console.log("✅ Imports started");
 console.log("THREE:", typeof THREE);
@@ -13,28 +23,53 @@ const appState = {
   camera: null,
   renderer: null,
   productModel: null,
+  catalog: null, // Parsed catalog.json
+  currentProduct: null, // Catalog entry currently shown
+  modelCache: new Map(), // Loaded glTF scenes keyed by product id
+  environmentCache: new Map(), // PMREM environment maps keyed by catalog "environment"
+  selectedAnchor: null, // Selected entry of placedAnchors (gestures + product switcher)
+  isSwitchingProduct: false, // True while a switcher model is loading
   xrSession: null,
   referenceSpace: null,
   hitTestSource: null,
+  lights: null, // { ambient, directional, hemisphere, probe } from setupLighting()
+  xrLightProbe: null, // XRLightProbe when light-estimation is granted
+  isLightEstimated: false, // Lights currently driven by the XR light estimate
+  transientHitTestSource: null, // Hit-tests from screen touches (drag to move)
   placeRequested: false,
-  placedAnchors: [], // Track placed anchors and their associated models
-  shadowPlane: null, // Shadow receiver plane
+  placedAnchors: [], // Placed items: { anchor, anchorGroup, content, model, productId }
   isPlacingMode: true, // Flag for placement mode
+  isPreviewActive: false, // Non-XR preview is showing the product
+  arPath: null, // "webxr" | "quick-look" | "scene-viewer" | "preview"
+  screenshotRequested: false, // Capture the next rendered XR frame
+  xrGLBinding: null, // XRWebGLBinding for camera-access images
+  hasCameraAccess: null, // Camera images available to the page (null until the first viewer pose)
+  snapRotation: false, // Snap twist rotation to ROTATION_SNAP_STEP
 };
 
-// Helper for debugging placement in AR: small visible box
-let placementHelper = null;
+// Placement reticle shown on the hit-test surface while placing
+let reticle = null;
 let xrFirstFrameSeen = false;
 
-// Diagnostics element for mobile debugging
-let diagEl = null;
+// DOM listeners are installed once and reused across AR sessions
+let uiListenersReady = false;
 
-// Gesture tracking for rotate and scale
+// Orbit controls for the non-XR product viewer, created on first use
+let previewControls = null;
+let previewIdleTimer = null;
+
+// Gesture tracking for rotate and scale. Only the in-progress touch lives
+// here; the resulting scale and rotation are stored on the selected item.
 const gestureState = {
   touchStartDistance: 0,
-  lastRotationY: 0,
-  scale: 1,
-  targetScale: 1,
+  startScale: 1,
+  lastTouchAngle: 0, // Angle between the two fingers on the previous move
+  twist: 0, // Total finger twist since the gesture began (radians)
+  startRotation: 0, // Item rotation when the twist began
+  lastSnapIndex: null, // Last snap step reached, for haptic ticks
+  dragEntry: null, // Placed item being dragged with one finger
+  dragPointer: new THREE.Vector2(), // Latest drag touch in client pixels
+  didDrag: false, // Swallow the click that follows a drag
 };
 
 // ============================================================================
@@ -49,8 +84,8 @@ async function initScene() {
   appState.camera = new THREE.PerspectiveCamera(
     75,
     window.innerWidth / window.innerHeight,
-    0.1,
-    1000
+    DEFAULT_CAMERA_NEAR,
+    DEFAULT_CAMERA_FAR
   );
 
   // Create WebGL renderer with AR support
@@ -61,23 +96,23 @@ async function initScene() {
   });
   appState.renderer.setSize(window.innerWidth, window.innerHeight);
   appState.renderer.xr.enabled = true;
+  appState.renderer.shadowMap.enabled = true;
+  appState.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
   appState.renderer.outputEncoding = THREE.sRGBColorSpace;
+  appState.renderer.toneMapping = TONE_MAPPINGS[DEFAULT_TONE_MAPPING];
+  appState.renderer.toneMappingExposure = 1;
   document.body.appendChild(appState.renderer.domElement);
 
   // Set up lighting for product preview
   setupLighting();
+  setupRenderSettings();
 
-  // Create shadow receiver plane (subtle ground plane for realism)
-  createShadowPlane();
-
-  // Load the 3D model
-  await loadModel();
+  // Troubleshooting UI only in debug mode (?debug=1 or the hidden gesture)
+  applyDebugUI();
+  setupDebugGesture();
 
-  // Add a diagnostics overlay for mobile troubleshooting
-  createDiagnosticsOverlay();
-
-  // Add camera test button for mobile troubleshooting
-  createCameraTestButton();
+  // Read the catalog and load the requested product behind the loading screen
+  await loadInitialProduct();
 
   // Handle window resize
   window.addEventListener("resize", onWindowResize);
@@ -98,69 +133,540 @@ function setupLighting() {
   directionalLight.shadow.mapSize.width = 1024;
   directionalLight.shadow.mapSize.height = 1024;
   directionalLight.shadow.camera.far = 50;
+  // Tight frustum around the focused item (see updateShadowFocus) keeps
+  // contact shadows sharp at table-top scale
+  directionalLight.shadow.camera.left = -SHADOW_FOCUS_RADIUS;
+  directionalLight.shadow.camera.right = SHADOW_FOCUS_RADIUS;
+  directionalLight.shadow.camera.top = SHADOW_FOCUS_RADIUS;
+  directionalLight.shadow.camera.bottom = -SHADOW_FOCUS_RADIUS;
+  directionalLight.shadow.bias = -0.0005;
   appState.scene.add(directionalLight);
+  appState.scene.add(directionalLight.target);
 
   // Hemisphere light: adds color to shadows (blue from sky)
   const hemisphereLight = new THREE.HemisphereLight(0xffffff, 0x8b9dc3, 0.5);
   appState.scene.add(hemisphereLight);
+
+  // Light probe: spherical harmonics from WebXR light estimation (off until then)
+  const lightProbe = new THREE.LightProbe();
+  lightProbe.intensity = 0;
+  appState.scene.add(lightProbe);
+
+  appState.lights = {
+    ambient: ambientLight,
+    directional: directionalLight,
+    hemisphere: hemisphereLight,
+    probe: lightProbe,
+  };
 }
 
 // ============================================================================
-// Create Shadow Receiver Plane
+// Environment Lighting (image-based lighting + tone mapping)
 // ============================================================================
-function createShadowPlane() {
-  // Create a subtle ground plane to receive shadows
-  const geometry = new THREE.PlaneGeometry(1, 1);
-  const material = new THREE.ShadowMaterial({
-    opacity: 0.2, // Very subtle shadow effect
-  });
-  appState.shadowPlane = new THREE.Mesh(geometry, material);
-  appState.shadowPlane.receiveShadow = true;
-  appState.shadowPlane.rotation.x = -Math.PI / 2; // Rotate to be horizontal
-  appState.shadowPlane.position.y = -0.01; // Place just below origin to avoid z-fighting
-  appState.shadowPlane.scale.set(0.5, 0.5, 0.5); // 50cm x 50cm
-  appState.scene.add(appState.shadowPlane);
+// Catalog "environment": "room" (procedural), "none", or the URL of an .hdr
+const DEFAULT_ENVIRONMENT = "room";
+const DEFAULT_TONE_MAPPING = "aces";
+const TONE_MAPPINGS = {
+  aces: THREE.ACESFilmicToneMapping,
+  agx: THREE.AgXToneMapping,
+  reinhard: THREE.ReinhardToneMapping,
+  none: THREE.NoToneMapping,
+};
+
+let pmremGenerator = null;
+
+async function loadEnvironment(key) {
+  if (appState.environmentCache.has(key)) {
+    return appState.environmentCache.get(key);
+  }
+
+  if (!pmremGenerator) {
+    pmremGenerator = new THREE.PMREMGenerator(appState.renderer);
+  }
+
+  let texture = null;
+  if (key === "room") {
+    const room = new RoomEnvironment(appState.renderer);
+    texture = pmremGenerator.fromScene(room, 0.04).texture;
+    room.dispose();
+  } else if (key !== "none") {
+    const hdr = await new RGBELoader().loadAsync(key);
+    texture = pmremGenerator.fromEquirectangular(hdr).texture;
+    hdr.dispose();
+  }
+
+  appState.environmentCache.set(key, texture);
+  return texture;
+}
+
+// Use the product's environment map for scene lighting, falling back to
+// the procedural room if its HDR cannot be loaded
+async function applyProductEnvironment(product) {
+  const key = product?.environment || DEFAULT_ENVIRONMENT;
+  try {
+    appState.scene.environment = await loadEnvironment(key);
+  } catch (e) {
+    console.warn(`Environment "${key}" failed to load, using ${DEFAULT_ENVIRONMENT}`, e);
+    appState.scene.environment = await loadEnvironment(DEFAULT_ENVIRONMENT);
+  }
+  diagLog(`Environment lighting: ${key}`, 'general', 'debug');
+}
+
+// Exposure slider and tone-mapping picker in #renderSettings
+function setupRenderSettings() {
+  const toggle = document.getElementById("renderSettingsToggle");
+  const panel = document.getElementById("renderSettingsPanel");
+  const exposureInput = document.getElementById("exposureInput");
+  const toneMappingSelect = document.getElementById("toneMappingSelect");
+
+  if (toggle && panel) {
+    toggle.addEventListener("click", () => {
+      panel.classList.toggle("open");
+    });
+  }
+
+  if (exposureInput) {
+    exposureInput.value = String(appState.renderer.toneMappingExposure);
+    exposureInput.addEventListener("input", () => {
+      appState.renderer.toneMappingExposure = parseFloat(exposureInput.value);
+    });
+  }
+
+  if (toneMappingSelect) {
+    toneMappingSelect.value = DEFAULT_TONE_MAPPING;
+    toneMappingSelect.addEventListener("change", () => {
+      appState.renderer.toneMapping = TONE_MAPPINGS[toneMappingSelect.value] ?? TONE_MAPPINGS[DEFAULT_TONE_MAPPING];
+    });
+  }
+}
+
+// ============================================================================
+// Contact Shadows (one receiver per placed item)
+// ============================================================================
+const SHADOW_FOCUS_RADIUS = 1; // meters around the focused item
+const CONTACT_SHADOW_MARGIN = 1.6; // receiver size relative to the model footprint
+
+const _shadowOffset = new THREE.Vector3();
+const _shadowFocus = new THREE.Vector3();
+
+// Subtle shadow-only plane on the item's surface (y = 0 of its content group),
+// sized from the model's footprint. Rebuilt when the model is swapped.
+function updateContactShadow(entry) {
+  removeContactShadow(entry);
+
+  const box = getNativeBox(entry.model);
+  const scale = entry.model.scale.x;
+  const size = box.getSize(new THREE.Vector3()).multiplyScalar(scale);
+  const center = box.getCenter(new THREE.Vector3()).multiplyScalar(scale);
+  const footprint = Math.max(size.x, size.z) * CONTACT_SHADOW_MARGIN;
+  if (!(footprint > 0)) return;
+
+  const shadow = new THREE.Mesh(
+    new THREE.PlaneGeometry(footprint, footprint).rotateX(-Math.PI / 2),
+    new THREE.ShadowMaterial({ opacity: 0.25 })
+  );
+  shadow.name = "contactShadow";
+  shadow.receiveShadow = true;
+  shadow.position.set(center.x, 0.001, center.z); // Just above the surface to avoid z-fighting
+  shadow.raycast = () => {};
+  entry.content.add(shadow);
+  entry.contactShadow = shadow;
+}
+
+function removeContactShadow(entry) {
+  const shadow = entry.contactShadow;
+  if (!shadow) return;
+  shadow.removeFromParent();
+  shadow.geometry.dispose();
+  shadow.material.dispose();
+  entry.contactShadow = null;
+}
+
+// Keep the directional light's shadow frustum centred on the selected (or
+// most recent) item, preserving the light's direction
+function updateShadowFocus() {
+  const entry = appState.selectedAnchor || appState.placedAnchors[appState.placedAnchors.length - 1];
+  if (!entry) return;
+
+  const light = appState.lights.directional;
+  _shadowOffset.subVectors(light.position, light.target.position);
+  entry.anchorGroup.updateMatrixWorld();
+  entry.content.getWorldPosition(_shadowFocus);
+  light.target.position.copy(_shadowFocus);
+  light.position.copy(_shadowFocus).add(_shadowOffset);
+}
+
+// ============================================================================
+// Product Catalog
+// ============================================================================
+const CATALOG_URL = "catalog.json";
+
+async function loadCatalog() {
+  const response = await fetch(CATALOG_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load product catalog (HTTP ${response.status})`);
+  }
+
+  const data = await response.json();
+  const products = Array.isArray(data.products) ? data.products.filter(isValidProduct) : [];
+  if (products.length === 0) {
+    throw new Error("Product catalog has no usable entries");
+  }
+
+  diagLog(`Catalog loaded: ${products.length} product(s)`, 'general', 'debug');
+  return {
+    defaultProduct: data.defaultProduct || products[0].id,
+    products,
+  };
+}
+
+function isValidProduct(entry) {
+  const valid = !!entry && typeof entry.id === "string" && typeof entry.modelUrl === "string";
+  if (!valid) {
+    console.warn("Ignoring invalid catalog entry:", entry);
+  }
+  return valid;
+}
+
+// Multiply in the catalog's defaultScale for a product (the current one by default)
+function applyDefaultScale(model, product = appState.currentProduct) {
+  const defaultScale = product?.defaultScale;
+  if (typeof defaultScale === "number" && defaultScale > 0 && defaultScale !== 1) {
+    model.scale.multiplyScalar(defaultScale);
+  }
+}
+
+// Product id from the ?product=<id> URL parameter, or null when absent
+function getRequestedProductId() {
+  return new URLSearchParams(window.location.search).get("product");
+}
+
+function findProduct(catalog, id) {
+  return catalog.products.find((product) => product.id === id) || null;
+}
+
+function selectProduct(catalog, requestedId) {
+  if (requestedId) {
+    const requested = findProduct(catalog, requestedId);
+    if (requested) return requested;
+    console.warn(`Unknown product "${requestedId}", using default`);
+  }
+  return findProduct(catalog, catalog.defaultProduct) || catalog.products[0];
 }
 
 // ============================================================================
 // Load GLB Model
 // ============================================================================
-async function loadModel() {
+// Draco decoder files, hosted with the app (glTF build of the decoder)
+const DRACO_DECODER_PATH = "draco/";
+// Basis Universal transcoder for KTX2 (KHR_texture_basisu) textures
+const BASIS_TRANSCODER_PATH = "basis/";
+
+// One loader shared by all products so the decoder workers are reused
+let gltfLoader = null;
+
+// GLTFLoader with the decoders for Draco (KHR_draco_mesh_compression) and
+// meshopt (EXT_meshopt_compression) compressed models, plus KTX2 textures.
+// Needs appState.renderer to pick the texture formats.
+function getGLTFLoader() {
+  if (gltfLoader) return gltfLoader;
+
+  const dracoLoader = new DRACOLoader();
+  dracoLoader.setDecoderPath(DRACO_DECODER_PATH);
+
+  gltfLoader = new GLTFLoader();
+  gltfLoader.setDRACOLoader(dracoLoader);
+  gltfLoader.setMeshoptDecoder(MeshoptDecoder);
+
+  // KTX2 textures stay compressed on the GPU, which keeps large food
+  // textures from starving phones of memory during XR. Without any GPU
+  // format to transcode to, the loader is left out so textures with a
+  // PNG/JPEG fallback use that instead of an uncompressed transcode.
+  const ktx2Loader = new KTX2Loader()
+    .setTranscoderPath(BASIS_TRANSCODER_PATH)
+    .detectSupport(appState.renderer);
+  const formats = getCompressedTextureFormats(ktx2Loader);
+  if (formats.length > 0) {
+    gltfLoader.setKTX2Loader(ktx2Loader);
+    diagLog('KTX2 textures enabled (' + formats.join(', ') + ')');
+  } else {
+    ktx2Loader.dispose();
+    diagLog('No compressed texture formats, using PNG/JPEG textures', 'general', 'warn');
+  }
+
+  return gltfLoader;
+}
+
+// GPU texture formats the KTX2 transcoder can target on this renderer
+function getCompressedTextureFormats(ktx2Loader) {
+  const config = ktx2Loader.workerConfig || {};
+  const formats = {
+    astcSupported: "ASTC",
+    bptcSupported: "BC7",
+    dxtSupported: "BC/DXT",
+    etc2Supported: "ETC2",
+    etc1Supported: "ETC1",
+    pvrtcSupported: "PVRTC",
+  };
+  return Object.keys(formats).filter((key) => config[key]).map((key) => formats[key]);
+}
+
+// Name the missing piece when a compressed model can't be decoded, instead
+// of the loader's internal message
+function describeModelLoadError(error, product) {
+  const message = error && error.message ? error.message : String(error);
+  if (message.includes("DRACOLoader") || message.includes(DRACO_DECODER_PATH + "draco_")) {
+    return new Error(`"${product.modelUrl}" is Draco-compressed, but the Draco decoder could not be loaded from "${DRACO_DECODER_PATH}" (${message})`);
+  }
+  if (message.includes("setKTX2Loader")) {
+    return new Error(`"${product.modelUrl}" only has KTX2 textures, and this device supports no compressed texture format (${message})`);
+  }
+  if (message.includes(BASIS_TRANSCODER_PATH + "basis_transcoder")) {
+    return new Error(`"${product.modelUrl}" uses KTX2 textures, but the Basis transcoder could not be loaded from "${BASIS_TRANSCODER_PATH}" (${message})`);
+  }
+  if (/MeshoptDecoder/i.test(message)) {
+    return new Error(`"${product.modelUrl}" is meshopt-compressed, but the meshopt decoder is not available (${message})`);
+  }
+  return error;
+}
+
+// `onProgress` receives the loaded fraction, or null when the server sent no
+// Content-Length and the total size is unknown
+async function loadModel(product, onProgress) {
+  if (appState.modelCache.has(product.id)) {
+    return appState.modelCache.get(product.id);
+  }
+
   return new Promise((resolve, reject) => {
-    const loader = new GLTFLoader();
-    console.log("Starting to load model...");
+    const loader = getGLTFLoader();
+    diagLog(`Starting to load model for "${product.id}"...`, 'general', 'debug');
     
     loader.load(
-      "fried+chicken+sandwich+3d+model.glb",
+      product.modelUrl,
       (gltf) => {
         console.log("Model loaded successfully", gltf);
-        appState.productModel = gltf.scene;
-        appState.productModel.visible = false;
+        const model = gltf.scene;
+        model.visible = false;
+        model.userData.productId = product.id;
+        // Asset-level extras may also declare the real-world size
+        const assetSize = gltf.asset?.extras?.realWorldSizeMeters;
+        if (assetSize !== undefined && model.userData.realWorldSizeMeters === undefined) {
+          model.userData.realWorldSizeMeters = assetSize;
+        }
 
         // Enable shadows on the model
-        appState.productModel.traverse((child) => {
+        model.traverse((child) => {
           if (child.isMesh) {
             child.castShadow = true;
             child.receiveShadow = true;
           }
         });
 
-        appState.scene.add(appState.productModel);
+        appState.scene.add(model);
+        appState.modelCache.set(product.id, model);
         console.log("Model added to scene");
-        resolve();
+        resolve(model);
       },
       (progress) => {
-        const percent = (progress.loaded / progress.total) * 100;
-        console.log(`Loading model: ${percent.toFixed(2)}%`);
+        const fraction = progress.lengthComputable && progress.total > 0
+          ? Math.min(progress.loaded / progress.total, 1)
+          : null;
+        if (onProgress) onProgress(fraction, progress.loaded);
       },
       (error) => {
         console.error("Error loading model:", error);
-        reject(error);
+        reject(describeModelLoadError(error, product));
       }
     );
   });
 }
 
+// ============================================================================
+// Loading Screen
+// ============================================================================
+// Load the catalog and the starting product while the loading screen is up.
+// On failure the error card is shown and the whole step re-runs on Retry, so
+// this only resolves once a model is ready.
+async function loadInitialProduct() {
+  for (;;) {
+    try {
+      showLoadingScreen("Loading product...");
+      if (!appState.catalog) {
+        appState.catalog = await loadCatalog();
+      }
+      appState.currentProduct = selectProduct(appState.catalog, getRequestedProductId());
+      document.title = `AR Product Preview - ${appState.currentProduct.name || appState.currentProduct.id}`;
+
+      // Load the 3D model and its environment lighting
+      showLoadingScreen(`Loading ${appState.currentProduct.name || appState.currentProduct.id}...`);
+      appState.productModel = await loadModel(appState.currentProduct, updateLoadingProgress);
+      await applyProductEnvironment(appState.currentProduct);
+
+      hideLoadingScreen();
+      return;
+    } catch (error) {
+      console.error("Error loading product:", error);
+      diagLog('Product load failed: ' + (error && error.message ? error.message : String(error)), 'general', 'error');
+      await showLoadError(error);
+    }
+  }
+}
+
+function showLoadingScreen(title) {
+  const screen = document.getElementById("loadingScreen");
+  if (!screen) return;
+  screen.classList.remove("hidden", "error");
+  document.getElementById("loadingTitle").textContent = title;
+  updateLoadingProgress(null, 0);
+}
+
+function hideLoadingScreen() {
+  const screen = document.getElementById("loadingScreen");
+  if (screen) screen.classList.add("hidden");
+}
+
+// Fill the bar for a known fraction, otherwise animate it and show the bytes
+// received so far
+function updateLoadingProgress(fraction, loadedBytes) {
+  const bar = document.getElementById("loadingBar");
+  const fill = document.getElementById("loadingBarFill");
+  const text = document.getElementById("loadingText");
+  if (!bar || !fill || !text) return;
+
+  if (fraction === null) {
+    bar.classList.add("indeterminate");
+    fill.style.width = "";
+    text.textContent = loadedBytes > 0 ? `${(loadedBytes / (1024 * 1024)).toFixed(1)} MB` : "";
+  } else {
+    bar.classList.remove("indeterminate");
+    fill.style.width = `${(fraction * 100).toFixed(1)}%`;
+    text.textContent = `${Math.round(fraction * 100)}%`;
+  }
+}
+
+// Show the error card and resolve when the user taps Retry
+function showLoadError(error) {
+  const screen = document.getElementById("loadingScreen");
+  const retryBtn = document.getElementById("retryLoadBtn");
+  if (!screen || !retryBtn) {
+    return Promise.reject(error);
+  }
+
+  const offline = navigator.onLine === false;
+  document.getElementById("loadErrorDetail").textContent = offline
+    ? "You appear to be offline. Check your connection and try again."
+    : "Check your connection and try again." + (error && error.message ? ` (${error.message})` : "");
+  screen.classList.remove("hidden");
+  screen.classList.add("error");
+
+  return new Promise((resolve) => {
+    retryBtn.addEventListener("click", () => {
+      diagLog('Retrying product load');
+      resolve();
+    }, { once: true });
+  });
+}
+
+// ============================================================================
+// Real-world Scale
+// ============================================================================
+// Size used by the auto-scale heuristic when a product declares no dimensions
+const AUTO_SCALE_TARGET_SIZE = 0.25; // 25cm
+
+// Declared real-world size (largest dimension, meters) from the catalog entry
+// or from a glTF `extras.realWorldSizeMeters`, or null when unknown
+function getDeclaredSizeMeters(model, product) {
+  const dims = product?.dimensions;
+  if (dims) {
+    const fromCatalog = parseSizeMeters([dims.width, dims.height, dims.depth]);
+    if (fromCatalog) return fromCatalog;
+  }
+
+  let fromExtras = null;
+  model.traverse((child) => {
+    if (fromExtras === null && child.userData.realWorldSizeMeters !== undefined) {
+      fromExtras = parseSizeMeters(child.userData.realWorldSizeMeters);
+    }
+  });
+  return fromExtras;
+}
+
+// Accepts a number, an [x, y, z] array or a {width, height, depth} / {x, y, z} object
+function parseSizeMeters(value) {
+  let values = [];
+  if (typeof value === "number") {
+    values = [value];
+  } else if (Array.isArray(value)) {
+    values = value;
+  } else if (value && typeof value === "object") {
+    values = [value.width ?? value.x, value.height ?? value.y, value.depth ?? value.z];
+  }
+
+  const max = Math.max(0, ...values.filter((v) => typeof v === "number" && isFinite(v)));
+  return max > 0 ? max : null;
+}
+
+// Largest bounding-box dimension in the model's own units
+function measureNativeSize(model) {
+  const size = getNativeBox(model).getSize(new THREE.Vector3());
+  return Math.max(size.x, size.y, size.z);
+}
+
+// Scale a freshly cloned model to its declared real-world size, or fall back
+// to the auto-scale heuristic (plus catalog defaultScale) when none is known.
+function applyPlacementScale(model, product = appState.currentProduct) {
+  let scaleFactor = 1;
+  let isTrueScale = false;
+
+  try {
+    const nativeSize = measureNativeSize(model);
+    const declaredSize = getDeclaredSizeMeters(model, product);
+
+    if (nativeSize > 0 && declaredSize) {
+      scaleFactor = declaredSize / nativeSize;
+      isTrueScale = true;
+      diagLog('True-scale: ' + (declaredSize * 100).toFixed(1) + 'cm, factor ' + scaleFactor.toFixed(3), 'placement');
+    } else if (nativeSize > 0) {
+      const autoFactor = AUTO_SCALE_TARGET_SIZE / nativeSize;
+      if (autoFactor < 0.8 || autoFactor > 1.2) {
+        scaleFactor = autoFactor;
+        diagLog('Auto-scaled model by ' + autoFactor.toFixed(3), 'placement');
+      }
+    }
+  } catch (e) {
+    console.warn('Placement scale failed', e);
+  }
+
+  model.scale.multiplyScalar(scaleFactor);
+  if (!isTrueScale) {
+    applyDefaultScale(model, product);
+  }
+  model.userData.placementScale = model.scale.x;
+  model.userData.isTrueScale = isTrueScale;
+  return scaleFactor;
+}
+
+// Show "100% size" (or the pinch-adjusted percentage) for true-scale models
+function updateScaleIndicator(model, userScale = 1) {
+  const el = document.getElementById("scaleIndicator");
+  if (!el) return;
+
+  if (!model) {
+    el.style.display = "none";
+    return;
+  }
+
+  if (model.userData.isTrueScale) {
+    const percent = Math.round(userScale * 100);
+    el.textContent = percent === 100 ? "100% size" : `${percent}% of real size`;
+    el.classList.add("true-scale");
+  } else {
+    el.textContent = "Approx. size";
+    el.classList.remove("true-scale");
+  }
+  el.style.display = "block";
+}
+
 // ============================================================================
 // Start AR Session
 // ============================================================================
@@ -179,18 +685,18 @@ async function startAR() {
     try {
       session = await navigator.xr.requestSession("immersive-ar", {
         requiredFeatures: ["hit-test"],
-        optionalFeatures: ["anchors", "dom-overlay"],
+        optionalFeatures: ["anchors", "dom-overlay", "light-estimation", "camera-access"],
         domOverlay: { root: document.body },
       });
       console.log("✅ AR session started (with features)");
     } catch (errReq) {
       console.warn('requestSession with features failed:', errReq);
-      diagLog('requestSession with features failed: ' + errReq.message);
+      diagLog('requestSession with features failed: ' + errReq.message, 'session', 'warn');
       // Try requesting without features (fallback)
       try {
         session = await navigator.xr.requestSession('immersive-ar');
         console.log('✅ AR session started (fallback without features)');
-        diagLog('AR session started (fallback without features)');
+        diagLog('AR session started (fallback without features)', 'session');
       } catch (errFallback) {
         console.error('Could not create AR session (even fallback):', errFallback);
         throw errFallback;
@@ -198,9 +704,13 @@ async function startAR() {
     }
 
     appState.xrSession = session;
+    disableNonXRPreview();
 
     // Bind Three.js renderer to XR session
-    appState.renderer.xr.setSession(appState.xrSession);
+    await appState.renderer.xr.setSession(appState.xrSession);
+
+    // Clean up and fall back to the in-page preview when the user exits AR
+    session.addEventListener("end", onSessionEnded, { once: true });
 
     // Request reference space (local space for hit-testing and anchoring)
     appState.referenceSpace = await appState.xrSession.requestReferenceSpace(
@@ -220,47 +730,70 @@ async function startAR() {
       // Fallback: try requesting a basic hit test source without entityTypes/offsetRay
       try {
         appState.hitTestSource = await appState.xrSession.requestHitTestSource({ space: viewerSpace });
-        diagLog('Hit-test created (fallback)');
+        diagLog('Hit-test created (fallback)', 'hit-test');
       } catch (err) {
         console.warn('Hit-test not available:', err);
-        diagLog('Hit-test not available');
+        diagLog('Hit-test not available', 'hit-test', 'warn');
         appState.hitTestSource = null;
       }
     }
 
     console.log("✅ Hit-test source created");
 
+    // Match virtual lighting to the room where the runtime supports it
+    await startLightEstimation();
+
+    // Hit-tests from the user's finger, used to drag placed items on the surface
+    appState.transientHitTestSource = null;
+    if (typeof appState.xrSession.requestHitTestSourceForTransientInput === 'function') {
+      try {
+        appState.transientHitTestSource = await appState.xrSession.requestHitTestSourceForTransientInput({
+          profile: "generic-touchscreen",
+        });
+        diagLog('Transient input hit-test created', 'hit-test');
+      } catch (e) {
+        console.warn('Transient input hit-test not available:', e);
+        diagLog('Transient input hit-test not available, drag uses plane fallback', 'hit-test', 'warn');
+      }
+    }
+
     // Start the XR render loop
     appState.renderer.setAnimationLoop((time, frame) =>
       onXRFrame(time, frame)
     );
-    diagLog('XR animation loop set');
+    diagLog('XR animation loop set', 'session', 'debug');
 
-    // Retry placement after short delays in case first frames aren't ready yet
-    setTimeout(() => { appState.placeRequested = true; diagLog('Auto placement retry #1 requested'); }, 500);
-    setTimeout(() => { appState.placeRequested = true; diagLog('Auto placement retry #2 requested'); }, 2000);
+    // Bring back items saved in a previous session; skip auto placement if any return
+    const restoredCount = await restorePlacements();
+    if (restoredCount > 0) {
+      appState.isPlacingMode = false;
+    } else {
+      // Retry placement after short delays in case first frames aren't ready yet
+      setTimeout(() => { appState.placeRequested = true; diagLog('Auto placement retry #1 requested', 'placement', 'debug'); }, 500);
+      setTimeout(() => { appState.placeRequested = true; diagLog('Auto placement retry #2 requested', 'placement', 'debug'); }, 2000);
 
-    // Auto-request placement once session is running so user doesn't always need a second tap
-    // This will use hit-test if available or the viewer-forward fallback.
-    appState.placeRequested = true;
-    diagLog('Auto placement requested after session start');
+      // Auto-request placement once session is running so user doesn't always need a second tap
+      // This will use hit-test if available or the viewer-forward fallback.
+      appState.placeRequested = true;
+      diagLog('Auto placement requested after session start', 'placement', 'debug');
+    }
 
     // Set up UI event listeners
     setupUIListeners();
+    showARControls();
 
-    // Hide the start button and show status
-    document.getElementById("startAR").style.display = "none";
-    document.getElementById("status").style.display = "block";
-    updateStatus("Ready to place model. Tap screen to place.");
+    updateStatus(restoredCount > 0
+      ? `Restored ${restoredCount} saved placement(s).`
+      : "Ready to place model. Tap screen to place.");
 
     console.log("✅ AR ready for interaction");
-    diagLog('AR session started');
+    diagLog('AR session started', 'session');
   } catch (error) {
     console.error("❌ Failed to start AR:", error);
     // Log full error details to diagnostics to help debugging
     try {
-      diagLog('startAR error: ' + (error && error.name ? error.name + ': ' : '') + (error && error.message ? error.message : String(error)));
-      if (error && error.stack) diagLog(error.stack);
+      diagLog('startAR error: ' + (error && error.name ? error.name + ': ' : '') + (error && error.message ? error.message : String(error)), 'session', 'error');
+      if (error && error.stack) diagLog(error.stack, 'session', 'error');
     } catch (e) {
       console.warn('diagLog error', e);
     }
@@ -272,11 +805,16 @@ async function startAR() {
 // Setup UI Listeners
 // ============================================================================
 function setupUIListeners() {
+  if (uiListenersReady) return;
+  uiListenersReady = true;
+
   // Screen tap to place model
-  appState.renderer.domElement.addEventListener("click", async () => {
+  appState.renderer.domElement.addEventListener("click", async (e) => {
     // If XR session isn't started yet, start it using this user gesture.
     // Some users tap the scene instead of the 'View in AR' button.
+    // In the preview, taps and drags belong to the viewer controls.
     if (!appState.xrSession) {
+      if (appState.isPreviewActive) return;
       try {
         await startAR();
         // After starting, mark a placement request so this tap places the model.
@@ -287,15 +825,41 @@ function setupUIListeners() {
       return;
     }
 
+    // A drag just ended; its click is not a tap
+    if (gestureState.didDrag) {
+      gestureState.didDrag = false;
+      return;
+    }
+
+    // Tapping a placed item selects it instead of placing another one
+    const tapped = pickPlacedAnchor(e.clientX, e.clientY);
+    if (tapped) {
+      selectPlacedAnchor(tapped);
+      return;
+    }
+
     // Normal placing flow when session already running
     if (appState.isPlacingMode) {
       appState.placeRequested = true;
     }
   });
 
-  // Multi-touch gestures for rotation and scale
+  // One finger on a placed item starts a drag
+  appState.renderer.domElement.addEventListener("touchstart", (e) => {
+    if (e.touches.length === 1 && appState.xrSession) {
+      beginDrag(e.touches[0]);
+    } else if (e.touches.length > 1) {
+      endDrag();
+    }
+  });
+
+  // Single-finger drag, or multi-touch gestures for rotation and scale
   appState.renderer.domElement.addEventListener("touchmove", (e) => {
-    if (e.touches.length === 2 && appState.placedAnchors.length > 0) {
+    if (e.touches.length === 1 && gestureState.dragEntry) {
+      e.preventDefault();
+      gestureState.dragPointer.set(e.touches[0].clientX, e.touches[0].clientY);
+      gestureState.didDrag = true;
+    } else if (e.touches.length === 2 && appState.selectedAnchor) {
       e.preventDefault();
       handleTwoFingerGesture(e);
     }
@@ -303,16 +867,69 @@ function setupUIListeners() {
 
   // Handle touch end
   appState.renderer.domElement.addEventListener("touchend", () => {
+    endDrag();
     gestureState.touchStartDistance = 0;
-    gestureState.scale = gestureState.targetScale;
+    const selected = appState.selectedAnchor;
+    if (selected) {
+      updateScaleIndicator(selected.model, selected.content.scale.x);
+      savePlacements();
+    }
   });
 
+  // Place another item next to the ones already placed
+  const addBtn = document.getElementById("addBtn");
+  if (addBtn) {
+    addBtn.addEventListener("click", startPlacingAnother);
+  }
+
+  // Shutter: capture and share a branded screenshot
+  const shutterBtn = document.getElementById("shutterBtn");
+  if (shutterBtn) {
+    shutterBtn.addEventListener("click", takeScreenshot);
+  }
+
+  // Record a short clip
+  const recordBtn = document.getElementById("recordBtn");
+  if (recordBtn) {
+    recordBtn.addEventListener("click", toggleRecording);
+  }
+  setupClipSheet();
+
+  // Toggle 15° rotation snapping
+  const snapBtn = document.getElementById("snapBtn");
+  if (snapBtn) {
+    snapBtn.addEventListener("click", toggleRotationSnap);
+  }
+
   // Reset button
   const resetBtn = document.getElementById("resetBtn");
   if (resetBtn) {
     resetBtn.addEventListener("click", resetAR);
   }
 
+  // Forget placements saved with persistent anchors (only where supported)
+  const forgetBtn = document.getElementById("forgetBtn");
+  if (forgetBtn) {
+    forgetBtn.addEventListener("click", forgetSavedPlacements);
+  }
+}
+
+// Show the in-session UI (control panel, hints, status)
+function showARControls() {
+  const forgetBtn = document.getElementById("forgetBtn");
+  if (forgetBtn) {
+    forgetBtn.style.display = supportsPersistentAnchors() ? "" : "none";
+  }
+
+  // Shown by detectCameraAccess() once camera images are known to work
+  const recordBtn = document.getElementById("recordBtn");
+  if (recordBtn) {
+    recordBtn.style.display = "none";
+  }
+
+  // Product switcher carousel
+  createProductCarousel();
+
   // Show control panel during AR
   const controlPanel = document.getElementById("controlPanel");
   if (controlPanel) {
@@ -324,30 +941,218 @@ function setupUIListeners() {
   if (hints) {
     hints.style.display = "block";
   }
+
+  // Hide the pre-AR buttons and badges, and show status
+  for (const id of ["startAR", "offlineBadge", "installBtn"]) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = "none";
+  }
+  document.getElementById("status").style.display = "block";
+}
+
+// Undo showARControls() once the session is over
+function hideARControls() {
+  for (const id of ["controlPanel", "hints", "status"]) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = "none";
+  }
+  updateScaleIndicator(null);
+
+  for (const id of ["startAR", "offlineBadge", "installBtn"]) {
+    const el = document.getElementById(id);
+    if (el) el.style.display = "";
+  }
+}
+
+// ============================================================================
+// XR Session Lifecycle
+// ============================================================================
+// Runs when the session ends for any reason (exit button, system UI, error).
+// Leaves the app ready for another startAR().
+function onSessionEnded() {
+  diagLog('AR session ended', 'session');
+
+  // Hit-test sources belong to the dead session
+  for (const key of ["hitTestSource", "transientHitTestSource"]) {
+    const source = appState[key];
+    if (source && typeof source.cancel === "function") {
+      try {
+        source.cancel();
+      } catch (e) {
+        // Already cancelled by the session ending
+      }
+    }
+    appState[key] = null;
+  }
+
+  // Anchors die with the session; persistent ones come back via restorePlacements()
+  selectPlacedAnchor(null);
+  for (const entry of appState.placedAnchors) {
+    removePlacedAnchor(entry);
+  }
+  appState.placedAnchors = [];
+  appState.isPlacingMode = true;
+  appState.placeRequested = false;
+  gestureState.dragEntry = null;
+  gestureState.touchStartDistance = 0;
+  if (reticle) reticle.visible = false;
+
+  appState.xrLightProbe = null;
+  appState.xrGLBinding = null;
+  appState.hasCameraAccess = null;
+  appState.screenshotRequested = false;
+  stopRecording();
+  useStaticLighting();
+
+  appState.xrSession = null;
+  appState.referenceSpace = null;
+  xrFirstFrameSeen = false;
+
+  hideARControls();
+  enableNonXRPreview();
+}
+
+// ============================================================================
+// WebXR Light Estimation
+// ============================================================================
+const _lightDirection = new THREE.Vector3();
+
+async function startLightEstimation() {
+  appState.xrLightProbe = null;
+  if (typeof appState.xrSession.requestLightProbe !== 'function') {
+    diagLog('Light estimation not available, using static lights', 'session', 'warn');
+    return;
+  }
+
+  try {
+    appState.xrLightProbe = await appState.xrSession.requestLightProbe();
+    diagLog('Light estimation started', 'session');
+  } catch (e) {
+    console.warn('requestLightProbe failed:', e);
+    diagLog('Light estimation not available, using static lights', 'session', 'warn');
+  }
+}
+
+// Copy the frame's light estimate into the directional light and SH probe.
+// The static rig stays in place until the first estimate arrives.
+function updateLightEstimate(frame) {
+  if (!appState.xrLightProbe || typeof frame.getLightEstimate !== 'function') return;
+
+  let estimate = null;
+  try {
+    estimate = frame.getLightEstimate(appState.xrLightProbe);
+  } catch (e) {
+    console.warn('getLightEstimate failed', e);
+  }
+  if (!estimate) return;
+
+  const { directional, probe } = appState.lights;
+  probe.sh.fromArray(estimate.sphericalHarmonicsCoefficients);
+  probe.intensity = 1;
+
+  // WebXR intensities can exceed 1, so normalize the color and move the
+  // magnitude into the light's intensity
+  const intensity = estimate.primaryLightIntensity;
+  const scalar = Math.max(1, intensity.x, intensity.y, intensity.z);
+  directional.color.setRGB(intensity.x / scalar, intensity.y / scalar, intensity.z / scalar);
+  directional.intensity = scalar;
+
+  // primaryLightDirection points towards the light
+  const direction = estimate.primaryLightDirection;
+  _lightDirection.set(direction.x, direction.y, direction.z).normalize().multiplyScalar(5);
+  directional.position.copy(directional.target.position).add(_lightDirection);
+
+  if (!appState.isLightEstimated) {
+    // The probe now supplies the ambient term
+    appState.lights.ambient.visible = false;
+    appState.lights.hemisphere.visible = false;
+    appState.isLightEstimated = true;
+    diagLog('Using estimated lighting', 'session');
+  }
+}
+
+// Back to the fixed rig from setupLighting()
+function useStaticLighting() {
+  const { ambient, directional, hemisphere, probe } = appState.lights;
+  ambient.visible = true;
+  hemisphere.visible = true;
+  probe.intensity = 0;
+  directional.color.set(0xffffff);
+  directional.intensity = 1;
+  directional.position.copy(directional.target.position).add(_lightDirection.set(5, 5, 5));
+  appState.isLightEstimated = false;
 }
 
 // ============================================================================
 // Handle Multi-Touch Gestures (Rotate + Scale)
 // ============================================================================
+const ROTATION_SNAP_STEP = THREE.MathUtils.degToRad(15);
+
 function handleTwoFingerGesture(event) {
+  const selected = appState.selectedAnchor;
+  if (!selected) return;
+
   const touch1 = event.touches[0];
   const touch2 = event.touches[1];
 
   const dx = touch2.clientX - touch1.clientX;
   const dy = touch2.clientY - touch1.clientY;
   const distance = Math.sqrt(dx * dx + dy * dy);
+  const angle = Math.atan2(dy, dx);
 
   if (gestureState.touchStartDistance === 0) {
     gestureState.touchStartDistance = distance;
+    gestureState.startScale = selected.content.scale.x;
+    gestureState.lastTouchAngle = angle;
+    gestureState.twist = 0;
+    gestureState.startRotation = selected.content.rotation.y;
+    gestureState.lastSnapIndex = null;
   } else {
     // Scale gesture
     const scaleFactor = distance / gestureState.touchStartDistance;
-    gestureState.targetScale = Math.max(0.5, Math.min(3, scaleFactor * gestureState.scale));
+    selected.content.scale.setScalar(Math.max(0.5, Math.min(3, scaleFactor * gestureState.startScale)));
+
+    // Twist gesture: summing wrapped per-move deltas keeps turns past 180°
+    // continuous. Screen angles grow clockwise (y points down), while a
+    // positive rotation.y turns the item counter-clockwise seen from above.
+    gestureState.twist += normalizeAngle(angle - gestureState.lastTouchAngle);
+    gestureState.lastTouchAngle = angle;
+    selected.content.rotation.y = applyRotationSnap(gestureState.startRotation - gestureState.twist);
+  }
+}
+
+// Wrap an angle into [-PI, PI)
+function normalizeAngle(angle) {
+  return THREE.MathUtils.euclideanModulo(angle + Math.PI, Math.PI * 2) - Math.PI;
+}
+
+// Keep rotation bounded and, when snapping is on, quantized to
+// ROTATION_SNAP_STEP with a short vibration at each new snap point
+function applyRotationSnap(rotation) {
+  const wrapped = THREE.MathUtils.euclideanModulo(rotation, Math.PI * 2);
+  if (!appState.snapRotation) return wrapped;
+
+  const index = Math.round(wrapped / ROTATION_SNAP_STEP);
+  if (gestureState.lastSnapIndex !== null && index !== gestureState.lastSnapIndex) {
+    vibrate(10);
+  }
+  gestureState.lastSnapIndex = index;
+  return THREE.MathUtils.euclideanModulo(index * ROTATION_SNAP_STEP, Math.PI * 2);
+}
+
+function vibrate(durationMs) {
+  if (typeof navigator.vibrate === "function") {
+    navigator.vibrate(durationMs);
+  }
+}
 
-    // Rotation gesture (vertical swipe rotates)
-    const rotationDelta = dy * 0.01;
-    gestureState.lastRotationY += rotationDelta;
+function toggleRotationSnap() {
+  appState.snapRotation = !appState.snapRotation;
+  const snapBtn = document.getElementById("snapBtn");
+  if (snapBtn) {
+    snapBtn.classList.toggle("active", appState.snapRotation);
   }
+  updateStatus(appState.snapRotation ? "Rotation snaps to 15°" : "Free rotation");
 }
 
 // ============================================================================
@@ -361,19 +1166,20 @@ function onXRFrame(time, frame) {
   if (!frame) return;
 
   // If user requested placement, log current hit-test / viewer status for debugging
-  if (appState.placeRequested) {
+  if (appState.placeRequested && isDebugEnabled()) {
     try {
       const viewerPose = frame.getViewerPose(appState.referenceSpace);
-      diagLog('Placement attempt: placeRequested=true, hitTestSource=' + (appState.hitTestSource ? 'yes' : 'no') + ', viewerPose=' + (viewerPose ? 'ok' : 'null'));
+      diagLog('Placement attempt: placeRequested=true, hitTestSource=' + (appState.hitTestSource ? 'yes' : 'no') + ', viewerPose=' + (viewerPose ? 'ok' : 'null'), 'placement', 'debug');
     } catch (e) {
-      diagLog('Placement attempt: error reading viewerPose: ' + e.message);
+      diagLog('Placement attempt: error reading viewerPose: ' + e.message, 'placement', 'warn');
     }
   }
 
   if (!xrFirstFrameSeen) {
     xrFirstFrameSeen = true;
-    diagLog('First XR frame received');
+    diagLog('First XR frame received', 'session');
   }
+  detectCameraAccess(frame);
 
   // Perform hit-testing to detect horizontal planes (tables)
   let hitTestResults = [];
@@ -382,25 +1188,31 @@ function onXRFrame(time, frame) {
       hitTestResults = frame.getHitTestResults(appState.hitTestSource);
     } catch (e) {
       console.warn('getHitTestResults failed', e);
-      diagLog('getHitTestResults failed');
+      diagLog('getHitTestResults failed', 'hit-test', 'warn');
     }
   }
 
   // Log immediate hitTestResults if a placement was requested
   if (appState.placeRequested) {
-    diagLog('hitTestResults length=' + hitTestResults.length);
+    diagLog('hitTestResults length=' + hitTestResults.length, 'hit-test', 'debug');
   }
 
   // Occasionally log hit-test and viewerPose status for debugging
-  if (onXRFrame._counter % 60 === 0) {
+  if (isDebugEnabled() && onXRFrame._counter % 60 === 0) {
     try {
       const viewerPose = frame.getViewerPose(appState.referenceSpace);
-      diagLog('Frame debug: hitTests=' + hitTestResults.length + ', viewerPose=' + (viewerPose ? 'ok' : 'null'));
+      diagLog('Frame debug: hitTests=' + hitTestResults.length + ', viewerPose=' + (viewerPose ? 'ok' : 'null'), 'hit-test', 'debug');
     } catch (e) {
-      diagLog('Frame debug: error getting viewerPose: ' + e.message);
+      diagLog('Frame debug: error getting viewerPose: ' + e.message, 'hit-test', 'warn');
     }
   }
 
+  // Drive the lights from the room's estimated lighting
+  updateLightEstimate(frame);
+
+  // Keep the reticle on the surface the user is aiming at
+  updateReticle(hitTestResults[0] || null, time);
+
   // Place model on user tap
   if (
     hitTestResults.length > 0 &&
@@ -436,51 +1248,37 @@ function onXRFrame(time, frame) {
         pos.add(new THREE.Vector3(transform.position.x, transform.position.y, transform.position.z));
 
         // Place model
-        const modelClone = appState.productModel.clone();
-        modelClone.visible = true;
-        modelClone.position.copy(pos);
-        modelClone.quaternion.copy(orientation);
-        // Auto-scale for visibility
-        try {
-          const bbox = new THREE.Box3().setFromObject(modelClone);
-          const size = new THREE.Vector3();
-          bbox.getSize(size);
-          const maxDim = Math.max(size.x, size.y, size.z);
-          if (maxDim > 0) {
-            const desired = 0.25;
-            const scaleFactor = desired / maxDim;
-            if (scaleFactor > 0 && (scaleFactor < 0.8 || scaleFactor > 1.2)) {
-              modelClone.scale.multiplyScalar(scaleFactor);
-              diagLog('Auto-scaled model (viewer-forward) by ' + scaleFactor.toFixed(3));
-            }
-          }
-        } catch (e) {
-          console.warn('viewer-forward auto-scale failed', e);
-        }
-        appState.scene.add(modelClone);
+        addPlacedAnchor(null, new THREE.Matrix4().compose(pos, orientation, new THREE.Vector3(1, 1, 1)));
         appState.isPlacingMode = false;
-        diagLog('Placed model using viewer-forward fallback');
+        diagLog('Placed model using viewer-forward fallback', 'placement');
         appState.placeRequested = false;
-        // show helper at viewer-forward placement
-        try {
-          const transform = new XRRigidTransform({x: pos.x, y: pos.y, z: pos.z});
-          showPlacementHelperFromPose(transform);
-        } catch (e) {
-          // fallback: create helper at position using Three.js directly
-          showPlacementHelperAtPosition(pos, orientation);
-        }
       }
     } catch (e) {
       console.warn('Viewer-forward placement failed', e);
-      diagLog('Viewer-forward placement failed: ' + e.message);
+      diagLog('Viewer-forward placement failed: ' + e.message, 'placement', 'warn');
     }
   }
 
+  // Slide the dragged item and re-anchor items whose drag just ended
+  updateDrag(frame);
+
   // Update tracked anchors (models already placed stay in position)
-  updatePlacedAnchors(frame);
+  updatePlacedAnchors(appState.placedAnchors, frame, appState.referenceSpace);
+  updateShadowFocus();
 
   // Render the scene
   appState.renderer.render(appState.scene, appState.camera);
+
+  // Read back this frame while its framebuffer is still valid
+  if (appState.screenshotRequested) {
+    appState.screenshotRequested = false;
+    captureXRFrame(frame);
+  }
+
+  // Feed the clip recorder
+  if (recordingState.recorder) {
+    captureRecordingFrame(frame);
+  }
 }
 
 // ============================================================================
@@ -497,52 +1295,24 @@ function placeModelOnPlane(hitResult, frame) {
   // Try to create an anchor if supported; otherwise just attach model at the pose
   const placeWithAnchor = async () => {
     try {
+      const poseMatrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
       if (typeof frame.createAnchor === 'function') {
         const anchor = await frame.createAnchor(pose.transform, appState.referenceSpace);
-        const modelClone = appState.productModel.clone();
-        modelClone.visible = true;
-        anchor.userData = { model: modelClone };
-        appState.placedAnchors.push(anchor);
-        appState.scene.add(modelClone);
+        addPlacedAnchor(anchor, poseMatrix);
         console.log('Model placed at anchor. Total placed:', appState.placedAnchors.length);
-        diagLog('Model placed with anchor');
-        // show helper at anchor position
-        showPlacementHelperFromPose(pose.transform);
+        diagLog('Model placed with anchor', 'placement');
       } else {
-        // Anchor not available: create a regular Object3D and position it
-        const modelClone = appState.productModel.clone();
-        modelClone.visible = true;
-        modelClone.matrix.fromArray(pose.transform.matrix);
-        modelClone.matrix.decompose(modelClone.position, modelClone.quaternion, modelClone.scale);
-        modelClone.matrixAutoUpdate = true;
-        // Auto-scale heuristics: ensure model is reasonable size in meters
-        try {
-          const bbox = new THREE.Box3().setFromObject(modelClone);
-          const size = new THREE.Vector3();
-          bbox.getSize(size);
-          const maxDim = Math.max(size.x, size.y, size.z);
-          if (maxDim > 0) {
-            const desired = 0.25; // 25cm target
-            const scaleFactor = desired / maxDim;
-            if (scaleFactor > 0 && (scaleFactor < 0.8 || scaleFactor > 1.2)) {
-              modelClone.scale.multiplyScalar(scaleFactor);
-              diagLog('Auto-scaled model by ' + scaleFactor.toFixed(3));
-            }
-          }
-        } catch (e) {
-          console.warn('Auto-scale failed', e);
-        }
-        appState.scene.add(modelClone);
+        // Anchor not available: keep the model at the hit-test pose
+        addPlacedAnchor(null, poseMatrix);
         console.log('Model placed without anchor');
-        diagLog('Model placed without anchor');
-        showPlacementHelperFromPose(pose.transform);
+        diagLog('Model placed without anchor', 'placement', 'warn');
       }
 
       appState.isPlacingMode = false;
       updateStatus('Model placed!');
     } catch (err) {
       console.error('Failed to place model:', err);
-      diagLog('Failed to place model: ' + err.message);
+      diagLog('Failed to place model: ' + err.message, 'placement', 'error');
     }
   };
 
@@ -552,149 +1322,1267 @@ function placeModelOnPlane(hitResult, frame) {
 // ============================================================================
 // Update Placed Anchors (Persist Position)
 // ============================================================================
-function updatePlacedAnchors(frame) {
-  // Iterate through all tracked anchors
-  for (const anchor of frame.trackedAnchors) {
-    if (!anchor.userData?.model) continue;
-
-    // Get the current pose of this anchor in reference space
-    const pose = frame.getPose(anchor.anchorSpace, appState.referenceSpace);
-
-    if (pose) {
-      const model = anchor.userData.model;
+// Take an item out of the scene and free what it created
+function removePlacedAnchor(entry) {
+  removeContactShadow(entry);
+  appState.scene.remove(entry.anchorGroup);
+}
 
-      // Update model's transformation matrix from anchor pose
-      // The anchor's pose includes rotation, translation, and scale
-      model.matrix.fromArray(pose.transform.matrix);
-      model.matrixAutoUpdate = false; // We're manually setting matrix
+// Clone of a product (the current one by default) ready to sit under a
+// placed item's content group
+function createPlacedModel(product = appState.currentProduct, sourceModel = appState.productModel) {
+  const model = sourceModel.clone();
+  model.visible = true;
+  model.position.set(0, 0, 0);
+  model.quaternion.identity();
+  model.scale.set(1, 1, 1);
+  // Real-world size when known, otherwise auto-scale for visibility
+  applyPlacementScale(model, product);
+  return model;
+}
 
-      // Apply gesture scale and rotation
-      if (appState.placedAnchors.includes(anchor)) {
-        model.scale.multiplyScalar(gestureState.scale);
-        model.rotateY(gestureState.lastRotationY);
-      }
-    }
+// Create a model for the current product at a pose and track it. Anchored
+// items follow their XRAnchor; items without an anchor keep poseMatrix.
+function addPlacedAnchor(anchor, poseMatrix) {
+  const entry = createPlacedAnchor(anchor, poseMatrix, createPlacedModel());
+  updateContactShadow(entry);
+  appState.placedAnchors.push(entry);
+  appState.scene.add(entry.anchorGroup);
+  selectPlacedAnchor(entry);
+  if (anchor) {
+    persistPlacedAnchor(entry);
   }
+  return entry;
 }
 
 // ============================================================================
-// Reset AR Scene (Remove all placed models)
+// Drag to Move (single finger slides the selected item on the surface)
 // ============================================================================
-function resetAR() {
-  // Remove all cloned models from scene
-  for (const anchor of appState.placedAnchors) {
-    if (anchor.userData?.model) {
-      appState.scene.remove(anchor.userData.model);
-    }
-  }
+const _dragRaycaster = new THREE.Raycaster();
+const _dragNdc = new THREE.Vector2();
+const _dragPlane = new THREE.Plane();
+const _dragPosition = new THREE.Vector3();
+const _dragQuaternion = new THREE.Quaternion();
+const _dragScale = new THREE.Vector3();
+const _dragTarget = new THREE.Vector3();
+const _dragUp = new THREE.Vector3(0, 1, 0);
+
+function beginDrag(touch) {
+  const entry = pickPlacedAnchor(touch.clientX, touch.clientY);
+  if (!entry) return;
+
+  selectPlacedAnchor(entry);
+  entry.isDragging = true;
+  gestureState.dragEntry = entry;
+  gestureState.dragPointer.set(touch.clientX, touch.clientY);
+  gestureState.didDrag = false;
+}
 
-  // Clear anchors and reset state
-  appState.placedAnchors = [];
-  appState.isPlacingMode = true;
-  gestureState.scale = 1;
-  gestureState.targetScale = 1;
-  gestureState.lastRotationY = 0;
+function endDrag() {
+  const entry = gestureState.dragEntry;
+  if (!entry) return;
 
-  updateStatus("Ready to place model. Tap screen to place.");
+  gestureState.dragEntry = null;
+  entry.isDragging = false;
+  // Anchors are only created inside an XR frame, so finish on the next one
+  if (gestureState.didDrag) {
+    entry.needsReanchor = true;
+  }
+}
+
+function updateDrag(frame) {
+  const entry = gestureState.dragEntry;
+  if (entry && gestureState.didDrag && getDragTarget(frame, entry, _dragTarget)) {
+    // Move along the surface, keeping the item's orientation
+    entry.anchorGroup.matrix.decompose(_dragPosition, _dragQuaternion, _dragScale);
+    entry.anchorGroup.matrix.compose(_dragTarget, _dragQuaternion, _dragScale);
+    entry.anchorGroup.matrixWorldNeedsUpdate = true;
+  }
+
+  for (const placed of appState.placedAnchors) {
+    if (placed.needsReanchor) {
+      placed.needsReanchor = false;
+      reanchorPlacedAnchor(placed, frame);
+    }
+  }
+}
+
+// Surface point under the dragging finger: transient-input hit-test first,
+// otherwise the ray through the touch point against the item's own plane
+function getDragTarget(frame, entry, target) {
+  if (appState.transientHitTestSource && typeof frame.getHitTestResultsForTransientInput === 'function') {
+    try {
+      for (const inputResult of frame.getHitTestResultsForTransientInput(appState.transientHitTestSource)) {
+        const pose = inputResult.results[0]?.getPose(appState.referenceSpace);
+        if (pose) {
+          const p = pose.transform.position;
+          target.set(p.x, p.y, p.z);
+          return true;
+        }
+      }
+    } catch (e) {
+      console.warn('getHitTestResultsForTransientInput failed', e);
+    }
+  }
+
+  const camera = appState.renderer.xr.isPresenting ? appState.renderer.xr.getCamera() : appState.camera;
+  _dragNdc.set(
+    (gestureState.dragPointer.x / window.innerWidth) * 2 - 1,
+    -(gestureState.dragPointer.y / window.innerHeight) * 2 + 1
+  );
+  _dragRaycaster.setFromCamera(_dragNdc, camera);
+  _dragPosition.setFromMatrixPosition(entry.anchorGroup.matrix);
+  _dragPlane.setFromNormalAndCoplanarPoint(_dragUp, _dragPosition);
+  return _dragRaycaster.ray.intersectPlane(_dragPlane, target) !== null;
+}
+
+// Replace the item's anchor with one at its dragged pose
+async function reanchorPlacedAnchor(entry, frame) {
+  if (!entry.anchor || typeof frame.createAnchor !== 'function') return;
+
+  entry.anchorGroup.matrix.decompose(_dragPosition, _dragQuaternion, _dragScale);
+  const transform = new XRRigidTransform(
+    { x: _dragPosition.x, y: _dragPosition.y, z: _dragPosition.z },
+    { x: _dragQuaternion.x, y: _dragQuaternion.y, z: _dragQuaternion.z, w: _dragQuaternion.w }
+  );
+
+  try {
+    const previous = entry.anchor;
+    // Hold the dragged pose until the new anchor exists
+    entry.isDragging = true;
+    entry.anchor = await frame.createAnchor(transform, appState.referenceSpace);
+    if (typeof previous.delete === 'function') previous.delete();
+    diagLog('Re-anchored dragged item', 'anchors');
+    // The saved handle points at the old anchor
+    forgetPersistentHandle(entry.persistentHandle);
+    entry.persistentHandle = null;
+    persistPlacedAnchor(entry);
+  } catch (err) {
+    console.warn('Re-anchoring failed:', err);
+    diagLog('Re-anchoring failed: ' + err.message, 'anchors', 'warn');
+  } finally {
+    entry.isDragging = gestureState.dragEntry === entry;
+  }
+}
+
+// ============================================================================
+// AR Screenshot (rendered frame + camera feed + brand watermark)
+// ============================================================================
+const BRAND_WATERMARK = "AR Sandwich";
+
+function takeScreenshot() {
+  if (appState.xrSession) {
+    // XR content only exists inside the frame callback, see onXRFrame()
+    appState.screenshotRequested = true;
+  } else {
+    // Preview: the canvas keeps its last frame (preserveDrawingBuffer)
+    finishScreenshot(appState.renderer.domElement, null);
+  }
+}
+
+// Copy the XR layer (and the camera image, when camera-access was granted)
+// into 2D canvases, then composite and share outside the frame callback
+function captureXRFrame(frame) {
+  try {
+    const gl = appState.renderer.getContext();
+    const layer = appState.xrSession.renderState.baseLayer;
+    if (!layer) throw new Error("No XR base layer");
+
+    const rendered = readFramebufferToCanvas(gl, layer.framebuffer, layer.framebufferWidth, layer.framebufferHeight);
+    const cameraFeed = readCameraImage(gl, frame, layer.framebuffer);
+    finishScreenshot(rendered, cameraFeed);
+  } catch (err) {
+    console.error('Screenshot capture failed:', err);
+    diagLog('Screenshot capture failed: ' + err.message, 'general', 'error');
+    updateStatus('Could not take screenshot');
+  }
+}
+
+// Camera image for the first view that exposes one, or null
+function readCameraImage(gl, frame, restoreFramebuffer, target = null) {
+  const viewerPose = frame.getViewerPose(appState.referenceSpace);
+  const view = viewerPose?.views.find((v) => v.camera);
+  if (!view || typeof XRWebGLBinding === "undefined") return null;
+
+  if (!appState.xrGLBinding) {
+    appState.xrGLBinding = new XRWebGLBinding(appState.xrSession, gl);
+  }
+  const texture = appState.xrGLBinding.getCameraImage(view.camera);
+  if (!texture) return null;
+
+  const framebuffer = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  const canvas = readFramebufferToCanvas(gl, framebuffer, view.camera.width, view.camera.height, target);
+  // Leave GL as three.js expects it
+  gl.bindFramebuffer(gl.FRAMEBUFFER, restoreFramebuffer);
+  gl.deleteFramebuffer(framebuffer);
+  return canvas;
+}
+
+// Pixel buffers kept per target canvas, so clip recording doesn't allocate
+// two full-screen arrays every frame
+const _readbackBuffers = new WeakMap();
+
+// Copy a framebuffer into a 2D canvas. Pass `target` to reuse a canvas (and
+// its buffers) across frames.
+function readFramebufferToCanvas(gl, framebuffer, width, height, target = null) {
+  const canvas = target || document.createElement("canvas");
+  let buffers = _readbackBuffers.get(canvas);
+  if (!buffers || canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+    buffers = { pixels: new Uint8ClampedArray(width * height * 4), image: new ImageData(width, height) };
+    _readbackBuffers.set(canvas, buffers);
+  }
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  const { pixels, image } = buffers;
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+  // GL rows start at the bottom
+  const rowBytes = width * 4;
+  for (let y = 0; y < height; y++) {
+    image.data.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), (height - 1 - y) * rowBytes);
+  }
+
+  canvas.getContext("2d").putImageData(image, 0, 0);
+  return canvas;
+}
+
+async function finishScreenshot(rendered, cameraFeed) {
+  try {
+    const canvas = composeScreenshot(rendered, cameraFeed, appState.currentProduct?.name || "");
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("PNG encoding failed");
+
+    const filename = `${appState.currentProduct?.id || "ar"}-${Date.now()}.png`;
+    await shareOrDownload(blob, filename, appState.currentProduct?.name);
+    diagLog('Screenshot saved' + (cameraFeed ? ' (with camera feed)' : ''));
+  } catch (err) {
+    // AbortError: the user closed the share sheet
+    if (err && err.name === "AbortError") return;
+    console.error('Screenshot failed:', err);
+    diagLog('Screenshot failed: ' + (err && err.message ? err.message : String(err)), 'general', 'error');
+    updateStatus('Could not take screenshot');
+  }
+}
+
+// Camera feed (cover-fit), rendered scene on top, then the watermark bar.
+// Clip recording draws every frame into the same `target` canvas.
+function composeScreenshot(rendered, cameraFeed, productName, target = null) {
+  const canvas = target || document.createElement("canvas");
+  if (canvas.width !== rendered.width || canvas.height !== rendered.height) {
+    canvas.width = rendered.width;
+    canvas.height = rendered.height;
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (cameraFeed) {
+    const scale = Math.max(canvas.width / cameraFeed.width, canvas.height / cameraFeed.height);
+    const w = cameraFeed.width * scale;
+    const h = cameraFeed.height * scale;
+    ctx.drawImage(cameraFeed, (canvas.width - w) / 2, (canvas.height - h) / 2, w, h);
+  }
+  ctx.drawImage(rendered, 0, 0);
+
+  const pad = Math.round(canvas.width * 0.04);
+  const fontSize = Math.max(14, Math.round(canvas.width * 0.035));
+  ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+  ctx.fillRect(0, canvas.height - fontSize * 2 - pad, canvas.width, fontSize * 2 + pad);
+  ctx.fillStyle = "white";
+  ctx.textBaseline = "bottom";
+  ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+  ctx.textAlign = "left";
+  ctx.fillText(productName, pad, canvas.height - pad);
+  ctx.textAlign = "right";
+  ctx.globalAlpha = 0.8;
+  ctx.fillText(BRAND_WATERMARK, canvas.width - pad, canvas.height - pad);
+  ctx.globalAlpha = 1;
+  return canvas;
+}
+
+// Web Share with the file when the browser can, otherwise a download
+async function shareOrDownload(blob, filename, title) {
+  const file = new File([blob], filename, { type: blob.type });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    await navigator.share({ files: [file], title: title || BRAND_WATERMARK });
+    return;
+  }
+
+  const url = URL.createObjectURL(blob);
+  downloadBlob(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  updateStatus('Saved ' + filename);
+}
+
+// ============================================================================
+// Clip Recording (camera feed + XR layer composited per frame -> MediaRecorder)
+// ============================================================================
+const CLIP_MAX_DURATION_MS = 15000;
+const CLIP_FRAME_INTERVAL_MS = 1000 / 30; // Read-backs are costly, cap at 30 fps
+const CLIP_COUNTDOWN_SECONDS = 3;
+const CLIP_MIME_TYPES = ["video/mp4", "video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+const recordingState = {
+  phase: "idle", // "idle" | "countdown" | "recording"
+  recorder: null,
+  stream: null,
+  chunks: [],
+  startedAt: 0,
+  timer: null,
+  progressFrame: 0,
+  canvas: null, // Offscreen 2D canvas the clip is captured from
+  layerCanvas: null, // Reused read-back of the XR layer
+  cameraCanvas: null, // Reused read-back of the camera image
+  lastFrameAt: 0,
+  clip: null, // { blob, url, filename } of the last finished clip
+};
+
+function toggleRecording() {
+  if (recordingState.phase === "idle") {
+    startCountdown();
+  } else {
+    stopRecording();
+  }
+}
+
+function startCountdown() {
+  if (typeof MediaRecorder === "undefined" || !HTMLCanvasElement.prototype.captureStream) {
+    updateStatus("Recording is not supported in this browser");
+    return;
+  }
+  if (!appState.xrSession || !appState.hasCameraAccess) {
+    updateStatus("Recording needs camera access");
+    return;
+  }
+
+  recordingState.phase = "countdown";
+  setRecordingUI("countdown");
+  let remaining = CLIP_COUNTDOWN_SECONDS;
+  const countdownEl = document.getElementById("recordCountdown");
+  if (countdownEl) countdownEl.textContent = String(remaining);
+
+  recordingState.timer = setInterval(() => {
+    remaining--;
+    if (remaining > 0) {
+      if (countdownEl) countdownEl.textContent = String(remaining);
+      return;
+    }
+    clearInterval(recordingState.timer);
+    startRecording();
+  }, 1000);
+}
+
+function startRecording() {
+  try {
+    // The passthrough camera is composited by the system and never reaches
+    // the XR layer, so each clip frame is built like a screenshot (camera
+    // image + XR layer) in an offscreen canvas and pushed with requestFrame()
+    const layer = appState.xrSession.renderState.baseLayer;
+    const canvas = document.createElement("canvas");
+    canvas.width = layer.framebufferWidth;
+    canvas.height = layer.framebufferHeight;
+    const stream = canvas.captureStream(0);
+    const mimeType = CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+
+    recordingState.canvas = canvas;
+    recordingState.stream = stream;
+    recordingState.lastFrameAt = 0;
+    recordingState.chunks = [];
+    recorder.addEventListener("dataavailable", (e) => {
+      if (e.data && e.data.size > 0) recordingState.chunks.push(e.data);
+    });
+    recorder.addEventListener("stop", finishRecording, { once: true });
+    recorder.start();
+
+    recordingState.recorder = recorder;
+    recordingState.phase = "recording";
+    recordingState.startedAt = performance.now();
+    recordingState.timer = setTimeout(stopRecording, CLIP_MAX_DURATION_MS);
+    setRecordingUI("recording");
+    updateRecordingProgress();
+    diagLog('Recording started (' + (recorder.mimeType || 'default type') + ')');
+  } catch (err) {
+    console.error('Could not start recording:', err);
+    diagLog('Could not start recording: ' + err.message, 'general', 'error');
+    resetRecording();
+    updateStatus("Could not start recording");
+  }
+}
+
+function stopRecording() {
+  clearInterval(recordingState.timer);
+  clearTimeout(recordingState.timer);
+
+  if (recordingState.recorder && recordingState.recorder.state !== "inactive") {
+    // finishRecording() runs on the recorder's "stop" event
+    recordingState.recorder.stop();
+  } else {
+    resetRecording();
+  }
+}
+
+function resetRecording() {
+  cancelAnimationFrame(recordingState.progressFrame);
+  if (recordingState.stream) {
+    recordingState.stream.getTracks().forEach((track) => track.stop());
+  }
+  recordingState.phase = "idle";
+  recordingState.recorder = null;
+  recordingState.stream = null;
+  recordingState.canvas = null;
+  recordingState.layerCanvas = null;
+  recordingState.cameraCanvas = null;
+  setRecordingUI("idle");
+}
+
+function finishRecording() {
+  const recorder = recordingState.recorder;
+  const type = (recorder && recorder.mimeType) || "video/webm";
+  const blob = new Blob(recordingState.chunks, { type });
+  recordingState.chunks = [];
+  resetRecording();
+
+  if (blob.size === 0) {
+    updateStatus("Recording was empty");
+    return;
+  }
+
+  const extension = type.startsWith("video/mp4") ? "mp4" : "webm";
+  if (recordingState.clip) URL.revokeObjectURL(recordingState.clip.url);
+  recordingState.clip = {
+    blob,
+    url: URL.createObjectURL(blob),
+    filename: `${appState.currentProduct?.id || "ar"}-${Date.now()}.${extension}`,
+  };
+  diagLog('Recording finished: ' + Math.round(blob.size / 1024) + ' KB');
+  showClipSheet();
+}
+
+function requestRecordingFrame() {
+  const track = recordingState.stream?.getVideoTracks()[0];
+  if (track && typeof track.requestFrame === "function") {
+    track.requestFrame();
+  }
+}
+
+// Composite this frame's camera image and XR layer into the clip canvas.
+// Runs inside the frame callback, while the layer's framebuffer is valid.
+function captureRecordingFrame(frame) {
+  const now = performance.now();
+  if (!recordingState.canvas || now - recordingState.lastFrameAt < CLIP_FRAME_INTERVAL_MS) return;
+
+  const gl = appState.renderer.getContext();
+  const layer = appState.xrSession?.renderState.baseLayer;
+  if (!layer) return;
+
+  try {
+    recordingState.layerCanvas = readFramebufferToCanvas(
+      gl, layer.framebuffer, layer.framebufferWidth, layer.framebufferHeight, recordingState.layerCanvas
+    );
+    const cameraFeed = readCameraImage(gl, frame, layer.framebuffer, recordingState.cameraCanvas);
+    // No camera image this frame: skip it rather than record an empty room
+    if (!cameraFeed) return;
+    recordingState.cameraCanvas = cameraFeed;
+
+    composeScreenshot(recordingState.layerCanvas, cameraFeed, appState.currentProduct?.name || "", recordingState.canvas);
+    recordingState.lastFrameAt = now;
+    requestRecordingFrame();
+  } catch (err) {
+    console.warn('Clip frame capture failed:', err);
+  }
+}
+
+// Clips need camera images (see captureRecordingFrame), so the record button
+// only appears once a frame shows camera-access was granted
+function detectCameraAccess(frame) {
+  if (appState.hasCameraAccess !== null) return;
+  const viewerPose = frame.getViewerPose(appState.referenceSpace);
+  if (!viewerPose) return;
+
+  appState.hasCameraAccess = typeof XRWebGLBinding !== "undefined" && viewerPose.views.some((view) => !!view.camera);
+  const recordBtn = document.getElementById("recordBtn");
+  if (recordBtn) {
+    recordBtn.style.display = appState.hasCameraAccess ? "" : "none";
+  }
+  setDiagnosticsField('camera-access', appState.hasCameraAccess ? 'granted' : 'unavailable');
+  diagLog('Camera access ' + (appState.hasCameraAccess ? 'granted, recording enabled' : 'unavailable, recording hidden'), 'session');
+}
+
+function updateRecordingProgress() {
+  if (recordingState.phase !== "recording") return;
+
+  const progress = Math.min(1, (performance.now() - recordingState.startedAt) / CLIP_MAX_DURATION_MS);
+  const ring = document.getElementById("recordProgressRing");
+  if (ring) {
+    const circumference = 2 * Math.PI * ring.r.baseVal.value;
+    ring.style.strokeDasharray = String(circumference);
+    ring.style.strokeDashoffset = String(circumference * (1 - progress));
+  }
+  recordingState.progressFrame = requestAnimationFrame(updateRecordingProgress);
+}
+
+// Countdown / progress overlay, record button state, and the diagnostics
+// panel, which is kept out of sight while recording
+function setRecordingUI(phase) {
+  const overlay = document.getElementById("recordOverlay");
+  const recordBtn = document.getElementById("recordBtn");
+  const diagnostics = document.getElementById("diagnostics");
+
+  if (overlay) {
+    overlay.style.display = phase === "idle" ? "none" : "flex";
+    overlay.classList.toggle("recording", phase === "recording");
+  }
+  if (recordBtn) {
+    recordBtn.classList.toggle("active", phase !== "idle");
+    recordBtn.textContent = phase === "idle" ? "⏺" : "⏹";
+  }
+  if (diagnostics) {
+    diagnostics.style.visibility = phase === "idle" ? "" : "hidden";
+  }
+}
+
+function setupClipSheet() {
+  const shareBtn = document.getElementById("clipShareBtn");
+  const downloadBtn = document.getElementById("clipDownloadBtn");
+  const closeBtn = document.getElementById("clipCloseBtn");
+
+  if (shareBtn) {
+    shareBtn.addEventListener("click", async () => {
+      const clip = recordingState.clip;
+      if (!clip) return;
+      try {
+        await shareOrDownload(clip.blob, clip.filename, appState.currentProduct?.name);
+        hideClipSheet();
+      } catch (err) {
+        if (err && err.name !== "AbortError") {
+          console.error('Sharing clip failed:', err);
+          updateStatus("Could not share clip");
+        }
+      }
+    });
+  }
+  if (downloadBtn) {
+    downloadBtn.addEventListener("click", () => {
+      const clip = recordingState.clip;
+      if (!clip) return;
+      downloadBlob(clip.url, clip.filename);
+      hideClipSheet();
+    });
+  }
+  if (closeBtn) {
+    closeBtn.addEventListener("click", hideClipSheet);
+  }
+}
+
+function showClipSheet() {
+  const sheet = document.getElementById("clipSheet");
+  const video = document.getElementById("clipPreview");
+  const shareBtn = document.getElementById("clipShareBtn");
+  if (!sheet || !recordingState.clip) return;
+
+  if (video) {
+    video.src = recordingState.clip.url;
+  }
+  if (shareBtn) {
+    const file = new File([recordingState.clip.blob], recordingState.clip.filename, { type: recordingState.clip.blob.type });
+    shareBtn.style.display = navigator.canShare && navigator.canShare({ files: [file] }) ? "" : "none";
+  }
+  sheet.style.display = "flex";
+}
+
+function hideClipSheet() {
+  const sheet = document.getElementById("clipSheet");
+  const video = document.getElementById("clipPreview");
+  if (video) {
+    video.pause();
+  }
+  if (sheet) {
+    sheet.style.display = "none";
+  }
 }
 
 // ============================================================================
-// Placement helper utilities
+// Persistent Placements (WebXR persistent anchors + localStorage)
 // ============================================================================
-function createPlacementHelper() {
-  if (placementHelper) return placementHelper;
-  const geo = new THREE.BoxGeometry(0.1, 0.1, 0.1);
-  const mat = new THREE.MeshBasicMaterial({ color: 0xff0000, opacity: 0.9, transparent: true });
-  placementHelper = new THREE.Mesh(geo, mat);
-  placementHelper.visible = false;
-  appState.scene.add(placementHelper);
-  return placementHelper;
+const PLACEMENTS_STORAGE_KEY = "arSandwich.placements.v1";
+
+function supportsPersistentAnchors() {
+  return !!appState.xrSession && typeof appState.xrSession.restorePersistentAnchor === "function";
+}
+
+function readSavedPlacements() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLACEMENTS_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((record) => record && typeof record.handle === "string") : [];
+  } catch (e) {
+    console.warn('Could not read saved placements', e);
+    return [];
+  }
 }
 
-function showPlacementHelperFromPose(transform) {
+// Snapshot every item that has a persistent handle
+function savePlacements() {
+  const records = appState.placedAnchors
+    .filter((entry) => entry.persistentHandle)
+    .map((entry) => ({
+      handle: entry.persistentHandle,
+      productId: entry.productId,
+      scale: entry.content.scale.x,
+      rotationY: entry.content.rotation.y,
+      offset: entry.content.position.toArray(),
+    }));
+
   try {
-    const helper = createPlacementHelper();
-    // transform may be an XRTransform-like with position/orientation
-    const p = transform.position || { x: 0, y: 0, z: 0 };
-    const o = transform.orientation || { x: 0, y: 0, z: 0, w: 1 };
-    helper.position.set(p.x, p.y, p.z);
-    helper.quaternion.set(o.x, o.y, o.z, o.w);
-    helper.visible = true;
-    diagLog('Placement helper shown at pose');
+    localStorage.setItem(PLACEMENTS_STORAGE_KEY, JSON.stringify(records));
   } catch (e) {
-    console.warn('showPlacementHelperFromPose failed', e);
+    console.warn('Could not save placements', e);
+  }
+}
+
+// Ask the runtime for a persistent handle for the item's anchor, then save
+async function persistPlacedAnchor(entry) {
+  const anchor = entry.anchor;
+  if (!anchor || typeof anchor.requestPersistentHandle !== "function") return;
+
+  try {
+    const handle = await anchor.requestPersistentHandle();
+    // The item may have been reset or re-anchored meanwhile; don't leak the
+    // handle in the runtime's store
+    if (entry.anchor !== anchor || !appState.placedAnchors.includes(entry)) {
+      forgetPersistentHandle(handle);
+      return;
+    }
+    entry.persistentHandle = handle;
+    savePlacements();
+    diagLog('Placement saved (persistent anchor)', 'anchors');
+  } catch (err) {
+    console.warn('requestPersistentHandle failed:', err);
+    diagLog('Persistent anchor not saved: ' + err.message, 'anchors', 'warn');
+  }
+}
+
+function forgetPersistentHandle(handle) {
+  if (!handle || !appState.xrSession || typeof appState.xrSession.deletePersistentAnchor !== "function") return;
+  appState.xrSession.deletePersistentAnchor(handle).catch((err) => {
+    console.warn('deletePersistentAnchor failed:', err);
+  });
+}
+
+// Re-create items saved by a previous session. Returns how many came back.
+async function restorePlacements() {
+  const records = readSavedPlacements();
+  if (records.length === 0 || !supportsPersistentAnchors()) return 0;
+
+  let restored = 0;
+  for (const record of records) {
+    try {
+      const product = findProduct(appState.catalog, record.productId) || appState.currentProduct;
+      const sourceModel = await loadModel(product);
+      const anchor = await appState.xrSession.restorePersistentAnchor(record.handle);
+
+      const entry = createPlacedAnchor(anchor, new THREE.Matrix4(), createPlacedModel(product, sourceModel));
+      updateContactShadow(entry);
+      entry.persistentHandle = record.handle;
+      entry.anchorGroup.visible = false; // Until updatePlacedAnchors() has a pose
+      if (typeof record.scale === "number") entry.content.scale.setScalar(record.scale);
+      if (typeof record.rotationY === "number") entry.content.rotation.y = record.rotationY;
+      if (Array.isArray(record.offset)) entry.content.position.fromArray(record.offset);
+
+      appState.placedAnchors.push(entry);
+      appState.scene.add(entry.anchorGroup);
+      restored++;
+    } catch (err) {
+      console.warn('Could not restore placement', record.handle, err);
+      diagLog('Could not restore placement: ' + (err && err.message ? err.message : String(err)), 'anchors', 'warn');
+    }
+  }
+
+  // Drop records whose anchors the runtime no longer knows about
+  savePlacements();
+  const last = appState.placedAnchors[appState.placedAnchors.length - 1];
+  if (last) {
+    selectPlacedAnchor(last);
+  }
+  diagLog('Restored ' + restored + ' of ' + records.length + ' saved placement(s)', 'anchors');
+  return restored;
+}
+
+// Delete saved handles from the runtime and storage. Items already in the
+// scene stay where they are but will not come back next session.
+function forgetSavedPlacements() {
+  const handles = new Set(readSavedPlacements().map((record) => record.handle));
+  for (const entry of appState.placedAnchors) {
+    if (entry.persistentHandle) handles.add(entry.persistentHandle);
+    entry.persistentHandle = null;
+  }
+  handles.forEach(forgetPersistentHandle);
+
+  try {
+    localStorage.removeItem(PLACEMENTS_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not clear saved placements', e);
+  }
+  updateStatus("Saved placements forgotten.");
+  diagLog('Forgot ' + handles.size + ' saved placement(s)', 'anchors');
+}
+
+// ============================================================================
+// Reset AR Scene (Remove all placed models)
+// ============================================================================
+function resetAR() {
+  // Remove all cloned models from scene
+  selectPlacedAnchor(null);
+  for (const entry of appState.placedAnchors) {
+    removePlacedAnchor(entry);
+    if (entry.anchor && typeof entry.anchor.delete === "function") {
+      entry.anchor.delete();
+    }
+    // Reset items must not come back next session, and the runtime only
+    // keeps a limited number of persistent anchors
+    forgetPersistentHandle(entry.persistentHandle);
+  }
+  gestureState.dragEntry = null;
+
+  // Clear anchors and reset state
+  appState.placedAnchors = [];
+  savePlacements();
+  appState.isPlacingMode = true;
+  gestureState.touchStartDistance = 0;
+
+  updateStatus("Ready to place model. Tap screen to place.");
+}
+
+// ============================================================================
+// Selection of Placed Items
+// ============================================================================
+const _tapRaycaster = new THREE.Raycaster();
+const _tapPointer = new THREE.Vector2();
+
+// Placed item under a screen point, or null
+function pickPlacedAnchor(clientX, clientY) {
+  if (appState.placedAnchors.length === 0) return null;
+
+  const camera = appState.renderer.xr.isPresenting ? appState.renderer.xr.getCamera() : appState.camera;
+  _tapPointer.set((clientX / window.innerWidth) * 2 - 1, -(clientY / window.innerHeight) * 2 + 1);
+  _tapRaycaster.setFromCamera(_tapPointer, camera);
+
+  const models = appState.placedAnchors.map((entry) => entry.model);
+  const hit = _tapRaycaster.intersectObjects(models, true)[0];
+  if (!hit) return null;
+
+  // Walk up from the hit mesh to the placed model root
+  for (let obj = hit.object; obj; obj = obj.parent) {
+    const entry = appState.placedAnchors.find((candidate) => candidate.model === obj);
+    if (entry) return entry;
   }
+  return null;
 }
 
-function showPlacementHelperAtPosition(pos, quaternion) {
-  const helper = createPlacementHelper();
-  helper.position.copy(pos);
-  if (quaternion) helper.quaternion.copy(quaternion);
-  helper.visible = true;
-  diagLog('Placement helper shown at position');
+function selectPlacedAnchor(entry) {
+  const previous = appState.selectedAnchor;
+  if (previous) {
+    setSelectionHighlight(previous.model, false);
+  }
+
+  appState.selectedAnchor = entry;
+  if (entry) {
+    setSelectionHighlight(entry.model, true);
+    updateScaleIndicator(entry.model, entry.content.scale.x);
+    diagLog('Selected placed item ' + appState.placedAnchors.indexOf(entry), 'placement');
+  } else {
+    updateScaleIndicator(null);
+  }
+}
+
+// Ring under the model's footprint, parented to the model so it follows
+// its pose, rotation and scale
+function setSelectionHighlight(model, selected) {
+  let ring = model.userData.selectionRing;
+  if (!selected) {
+    if (ring) ring.visible = false;
+    return;
+  }
+
+  if (!ring) {
+    const box = getNativeBox(model);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    const radius = Math.max(size.x, size.z) * 0.6;
+
+    ring = new THREE.Mesh(
+      new THREE.RingGeometry(radius * 0.92, radius, 48).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: 0x667eea, transparent: true, opacity: 0.9, depthWrite: false })
+    );
+    ring.position.set(center.x, box.min.y + 0.001 * size.y, center.z);
+    ring.raycast = () => {}; // Not pickable: taps should hit the product itself
+    model.add(ring);
+    model.userData.selectionRing = ring;
+  }
+  ring.visible = true;
+}
+
+// Go back to placement mode without clearing what is already placed
+function startPlacingAnother() {
+  appState.isPlacingMode = true;
+  updateStatus("Tap screen to place another item.");
+}
+
+// ============================================================================
+// In-session Product Switcher
+// ============================================================================
+function createProductCarousel() {
+  const carousel = document.getElementById("productCarousel");
+  if (!carousel || !appState.catalog) return;
+
+  carousel.innerHTML = "";
+  // Nothing to switch between with a single item
+  if (appState.catalog.products.length < 2) {
+    carousel.style.display = "none";
+    return;
+  }
+
+  for (const product of appState.catalog.products) {
+    const btn = document.createElement("button");
+    btn.className = "control-btn product-option";
+    btn.dataset.productId = product.id;
+    btn.title = product.name || product.id;
+    if (product.thumbnail) {
+      const img = document.createElement("img");
+      img.src = product.thumbnail;
+      img.alt = product.name || product.id;
+      btn.appendChild(img);
+    } else {
+      btn.textContent = (product.name || product.id).charAt(0);
+    }
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      switchProduct(product.id);
+    });
+    carousel.appendChild(btn);
+  }
+
+  carousel.style.display = "flex";
+  updateProductCarousel();
+}
+
+function updateProductCarousel() {
+  const carousel = document.getElementById("productCarousel");
+  if (!carousel) return;
+
+  for (const btn of carousel.querySelectorAll(".product-option")) {
+    btn.classList.toggle("active", btn.dataset.productId === appState.currentProduct?.id);
+    btn.disabled = appState.isSwitchingProduct;
+  }
+}
+
+async function switchProduct(productId) {
+  if (!appState.xrSession || appState.isSwitchingProduct) return;
+  if (productId === appState.currentProduct?.id) return;
+
+  const product = findProduct(appState.catalog, productId);
+  if (!product) {
+    console.warn(`switchProduct: unknown product "${productId}"`);
+    return;
+  }
+
+  appState.isSwitchingProduct = true;
+  updateProductCarousel();
+  updateStatus(`Loading ${product.name || product.id}...`);
+
+  try {
+    const model = await loadModel(product);
+    appState.productModel = model;
+    appState.currentProduct = product;
+    document.title = `AR Product Preview - ${product.name || product.id}`;
+    await applyProductEnvironment(product);
+
+    const entry = appState.selectedAnchor;
+    if (entry && appState.placedAnchors.includes(entry)) {
+      replaceAnchorModel(entry);
+      savePlacements();
+      updateStatus(`Showing ${product.name || product.id}`);
+    } else {
+      updateStatus(`${product.name || product.id} selected. Tap screen to place.`);
+    }
+    diagLog('Switched product to ' + product.id);
+    cacheProductForOffline(product);
+  } catch (err) {
+    console.error('Failed to switch product:', err);
+    diagLog('Failed to switch product: ' + (err && err.message ? err.message : String(err)), 'general', 'error');
+    updateStatus(`Could not load ${product.name || product.id}`);
+  } finally {
+    appState.isSwitchingProduct = false;
+    updateProductCarousel();
+  }
+}
+
+// Swap the model shown for a placed item for the current product. The
+// anchor group and content transform are untouched, so pose, scale and
+// rotation carry over.
+function replaceAnchorModel(entry) {
+  const newModel = createPlacedModel();
+
+  entry.content.remove(entry.model);
+  entry.content.add(newModel);
+  entry.model = newModel;
+  entry.productId = newModel.userData.productId;
+  updateContactShadow(entry);
+
+  if (appState.selectedAnchor === entry) {
+    setSelectionHighlight(newModel, true);
+    updateScaleIndicator(newModel, entry.content.scale.x);
+  }
+}
+
+// ============================================================================
+// Placement Reticle
+// ============================================================================
+const RETICLE_COLOR_SEARCHING = 0xffffff;
+const RETICLE_COLOR_READY = 0x4caf50;
+// Surfaces whose normal is within ~15° of straight up count as horizontal
+const HORIZONTAL_NORMAL_MIN_Y = Math.cos(THREE.MathUtils.degToRad(15));
+
+const _reticleNormal = new THREE.Vector3();
+
+function createReticle() {
+  if (reticle) return reticle;
+
+  reticle = new THREE.Group();
+  reticle.name = "placementReticle";
+
+  const material = new THREE.MeshBasicMaterial({
+    color: RETICLE_COLOR_SEARCHING,
+    transparent: true,
+    opacity: 0.9,
+    depthWrite: false,
+  });
+  // Ring and center dot lie flat in the surface plane (local Y is the normal)
+  const ring = new THREE.Mesh(new THREE.RingGeometry(0.08, 0.1, 48).rotateX(-Math.PI / 2), material);
+  const dot = new THREE.Mesh(new THREE.CircleGeometry(0.012, 24).rotateX(-Math.PI / 2), material);
+  reticle.add(ring, dot);
+  reticle.userData = { ring, material };
+  reticle.visible = false;
+  appState.scene.add(reticle);
+  return reticle;
+}
+
+// Follow the first hit-test result, aligned to its surface normal.
+// Hidden when there is no hit or once the model has been placed.
+function updateReticle(hitResult, time) {
+  const target = createReticle();
+  const pose = hitResult && appState.isPlacingMode ? hitResult.getPose(appState.referenceSpace) : null;
+  if (!pose) {
+    target.visible = false;
+    return;
+  }
+
+  target.matrix.fromArray(pose.transform.matrix);
+  target.matrix.decompose(target.position, target.quaternion, target.scale);
+
+  _reticleNormal.set(0, 1, 0).applyQuaternion(target.quaternion);
+  const isHorizontal = _reticleNormal.y >= HORIZONTAL_NORMAL_MIN_Y;
+  target.userData.material.color.setHex(isHorizontal ? RETICLE_COLOR_READY : RETICLE_COLOR_SEARCHING);
+
+  // Gentle pulse on the ring so the reticle reads as "live"
+  const pulse = 1 + 0.08 * Math.sin((time || 0) / 250);
+  target.userData.ring.scale.setScalar(isHorizontal ? pulse : 1);
+  target.visible = true;
 }
 
 // ============================================================================
 // Non-XR preview fallback for desktop/mobile browsers without device AR
-// Shows the model in the Three.js scene and enables simple touch/mouse controls
+// Product viewer: orbit around the model with inertia, zoom and pan,
+// double-tap to reset, and a turntable spin while idle
 // ============================================================================
+const PREVIEW_IDLE_DELAY_MS = 4000; // Auto-rotate after this long without input
+const PREVIEW_DOUBLE_TAP_MS = 300;
+const PREVIEW_TAP_SLOP_PX = 10;
+
+// Camera clip planes used outside the preview (the XR session reads them too)
+const DEFAULT_CAMERA_NEAR = 0.1;
+const DEFAULT_CAMERA_FAR = 1000;
+
 function enableNonXRPreview() {
-  diagLog('Enabling non-XR preview');
+  diagLog('Enabling non-XR preview for ' + (appState.currentProduct ? appState.currentProduct.id : 'unknown product'));
   if (!appState.productModel) return;
+  appState.isPreviewActive = true;
+
+  // Show the model at the origin, unposed, at its catalog scale
+  const model = appState.productModel;
+  model.visible = true;
+  model.position.set(0, 0, 0);
+  model.quaternion.identity();
+  model.scale.set(1, 1, 1);
+  applyDefaultScale(model);
+
+  const controls = setupPreviewControls();
+  controls.enabled = true;
+  framePreviewModel();
+
+  // Render loop for non-XR preview; update() applies damping and auto-rotate
+  const clock = new THREE.Clock();
+  appState.renderer.setAnimationLoop(() => {
+    controls.update(clock.getDelta());
+    appState.renderer.render(appState.scene, appState.camera);
+  });
+}
 
-  // Make model visible and position it in front of camera
-  appState.productModel.visible = true;
-  appState.productModel.position.set(0, -0.3, -0.6);
-  appState.productModel.lookAt(new THREE.Vector3(0, 0, 0));
+// Hide the preview model before an AR session takes over the renderer
+function disableNonXRPreview() {
+  appState.isPreviewActive = false;
+  if (appState.productModel) {
+    appState.productModel.visible = false;
+  }
+  if (previewControls) {
+    previewControls.enabled = false;
+    previewControls.autoRotate = false;
+  }
+  clearTimeout(previewIdleTimer);
 
-  // Simple orbit-like controls: drag to rotate, pinch to scale
-  let isPointerDown = false;
-  let lastX = 0;
-  let lastY = 0;
+  appState.camera.near = DEFAULT_CAMERA_NEAR;
+  appState.camera.far = DEFAULT_CAMERA_FAR;
+  appState.camera.updateProjectionMatrix();
+}
 
-  appState.renderer.domElement.addEventListener('pointerdown', (e) => {
-    isPointerDown = true;
-    lastX = e.clientX;
-    lastY = e.clientY;
-  });
+// Point the camera at the model's bounding-box center from a three-quarter
+// view, with zoom limits and clip planes relative to the model's size
+function framePreviewModel() {
+  const controls = previewControls;
+  const box = new THREE.Box3().setFromObject(appState.productModel);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = Math.max(...box.getSize(new THREE.Vector3()).toArray()) || 1;
+
+  const distance = size * 2;
+  controls.target.copy(center);
+  controls.minDistance = size * 0.6;
+  controls.maxDistance = size * 6;
+
+  appState.camera.near = size / 100;
+  appState.camera.far = size * 100;
+  appState.camera.position.copy(center).add(new THREE.Vector3(0, 0.5, 1).normalize().multiplyScalar(distance));
+  appState.camera.lookAt(center);
+  appState.camera.updateProjectionMatrix();
 
-  window.addEventListener('pointerup', () => (isPointerDown = false));
+  controls.update();
+  // reset() returns here on double-tap
+  controls.saveState();
+  restartPreviewIdleTimer();
+}
 
-  appState.renderer.domElement.addEventListener('pointermove', (e) => {
-    if (!isPointerDown) return;
-    const dx = (e.clientX - lastX) * 0.01;
-    const dy = (e.clientY - lastY) * 0.01;
-    appState.productModel.rotateY(dx);
-    appState.productModel.rotateX(dy);
-    lastX = e.clientX;
-    lastY = e.clientY;
+function setupPreviewControls() {
+  if (previewControls) return previewControls;
+
+  const controls = new OrbitControls(appState.camera, appState.renderer.domElement);
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.08;
+  controls.enablePan = true;
+  controls.autoRotateSpeed = 1.5;
+  // Don't orbit below the table
+  controls.maxPolarAngle = Math.PI * 0.55;
+
+  // Any interaction stops the turntable until the viewer is idle again
+  controls.addEventListener('start', () => {
+    controls.autoRotate = false;
+    clearTimeout(previewIdleTimer);
   });
+  controls.addEventListener('end', restartPreviewIdleTimer);
 
-  // Touch pinch for scale
-  let pinchStart = 0;
-  appState.renderer.domElement.addEventListener('touchstart', (e) => {
-    if (e.touches.length === 2) {
-      const dx = e.touches[1].clientX - e.touches[0].clientX;
-      const dy = e.touches[1].clientY - e.touches[0].clientY;
-      pinchStart = Math.hypot(dx, dy);
+  // Double-tap / double-click resets the view. Tracked with pointer events
+  // so it works for touch, where dblclick is unreliable.
+  let lastTapTime = 0;
+  let downX = 0;
+  let downY = 0;
+  appState.renderer.domElement.addEventListener('pointerdown', (e) => {
+    downX = e.clientX;
+    downY = e.clientY;
+  });
+  appState.renderer.domElement.addEventListener('pointerup', (e) => {
+    if (!appState.isPreviewActive || !e.isPrimary) return;
+    if (Math.hypot(e.clientX - downX, e.clientY - downY) > PREVIEW_TAP_SLOP_PX) return;
+
+    const now = performance.now();
+    if (now - lastTapTime < PREVIEW_DOUBLE_TAP_MS) {
+      lastTapTime = 0;
+      controls.reset();
+      restartPreviewIdleTimer();
+      diagLog('Preview view reset');
+    } else {
+      lastTapTime = now;
     }
   });
-  appState.renderer.domElement.addEventListener('touchmove', (e) => {
-    if (e.touches.length === 2 && pinchStart > 0) {
-      const dx = e.touches[1].clientX - e.touches[0].clientX;
-      const dy = e.touches[1].clientY - e.touches[0].clientY;
-      const d = Math.hypot(dx, dy);
-      const scale = THREE.MathUtils.clamp((d / pinchStart) * appState.productModel.scale.x, 0.3, 3);
-      appState.productModel.scale.setScalar(scale);
+
+  previewControls = controls;
+  return controls;
+}
+
+function restartPreviewIdleTimer() {
+  clearTimeout(previewIdleTimer);
+  previewIdleTimer = setTimeout(() => {
+    if (appState.isPreviewActive && previewControls) {
+      previewControls.autoRotate = true;
     }
+  }, PREVIEW_IDLE_DELAY_MS);
+}
+
+// ============================================================================
+// AR Path Selection
+// ============================================================================
+async function isImmersiveARSupported() {
+  if (!navigator.xr) {
+    console.warn("WebXR not supported on this device");
+    return false;
+  }
+
+  diagLog('WebXR is available', 'session', 'debug');
+  try {
+    const supported = await navigator.xr.isSessionSupported('immersive-ar');
+    diagLog('immersive-ar supported: ' + supported, 'session', 'debug');
+    return supported;
+  } catch (e) {
+    console.warn('isSessionSupported call failed', e);
+    return false;
+  }
+}
+
+function setARPath(path) {
+  appState.arPath = path;
+  diagLog('AR path: ' + path, 'session', 'debug');
+  setDiagnosticsField('AR path', path);
+}
+
+function onStartARClick() {
+  if (appState.arPath === "scene-viewer") {
+    launchSceneViewer();
+  } else {
+    startAR();
+  }
+}
+
+// ============================================================================
+// Android Scene Viewer fallback
+// ============================================================================
+function isAndroid() {
+  return /android/i.test(navigator.userAgent);
+}
+
+// Intent URL that opens a glTF/GLB in Google Scene Viewer (ARCore), with the
+// browser falling back to fallbackUrl when Scene Viewer is unavailable
+function buildSceneViewerIntent({ modelUrl, title, resizable = true, fallbackUrl }) {
+  const params = new URLSearchParams({
+    file: new URL(modelUrl, window.location.href).href,
+    mode: "ar_preferred",
+    resizable: String(!!resizable),
   });
+  if (title) params.set("title", title);
+
+  const intentParts = [
+    "scheme=https",
+    "package=com.google.ar.core",
+    "action=android.intent.action.VIEW",
+  ];
+  if (fallbackUrl) {
+    intentParts.push("S.browser_fallback_url=" + encodeURIComponent(fallbackUrl));
+  }
 
-  // Render loop for non-XR preview
-  appState.renderer.setAnimationLoop(() => {
-    appState.renderer.render(appState.scene, appState.camera);
+  return `intent://arvr.google.com/scene-viewer/1.0?${params.toString()}#Intent;${intentParts.join(";")};end;`;
+}
+
+// Set on the fallback URL, so a device that can't run Scene Viewer (no
+// ARCore) comes back to the preview instead of being offered it again
+const SCENE_VIEWER_FAILED_PARAM = "sv";
+const SCENE_VIEWER_FAILED_VALUE = "failed";
+
+function sceneViewerFailed() {
+  return new URLSearchParams(window.location.search).get(SCENE_VIEWER_FAILED_PARAM) === SCENE_VIEWER_FAILED_VALUE;
+}
+
+// Scene Viewer parameters for a catalog entry. Items with declared
+// dimensions are shown at true scale, so resizing is off unless the
+// catalog says otherwise.
+function getSceneViewerIntent(product) {
+  const fallback = new URL(window.location.href);
+  fallback.searchParams.set("product", product.id);
+  fallback.searchParams.set(SCENE_VIEWER_FAILED_PARAM, SCENE_VIEWER_FAILED_VALUE);
+  return buildSceneViewerIntent({
+    modelUrl: product.modelUrl,
+    title: product.name || product.id,
+    resizable: product.resizable ?? !product.dimensions,
+    fallbackUrl: fallback.href,
   });
 }
 
+function offerSceneViewer(startBtn) {
+  if (!startBtn) return;
+  startBtn.disabled = false;
+  startBtn.textContent = "📱 View in AR";
+  startBtn.title = "Opens Google Scene Viewer";
+}
+
+function launchSceneViewer() {
+  const product = appState.currentProduct;
+  diagLog('Launching Scene Viewer for ' + product.id);
+  window.location.href = getSceneViewerIntent(product);
+}
+
+// ============================================================================
+// iOS Quick Look fallback (USDZ exported in the browser)
+// ============================================================================
+function supportsQuickLook() {
+  const anchor = document.createElement("a");
+  return !!(anchor.relList && anchor.relList.supports && anchor.relList.supports("ar"));
+}
+
+// Swap the start button for an <a rel="ar"> Quick Look link to a USDZ of
+// the current product. The link stays inert until the export finishes.
+async function offerQuickLook(startBtn) {
+  const product = appState.currentProduct;
+  const link = document.createElement("a");
+  link.id = "quickLookLink";
+  link.rel = "ar";
+  link.className = "preparing";
+  // Quick Look only opens links whose first child is an image
+  const img = document.createElement("img");
+  img.alt = "";
+  if (product?.thumbnail) img.src = product.thumbnail;
+  link.appendChild(img);
+  link.appendChild(document.createTextNode("⏳ Preparing AR..."));
+
+  if (startBtn) {
+    startBtn.style.display = "none";
+    startBtn.insertAdjacentElement("afterend", link);
+  } else {
+    document.body.appendChild(link);
+  }
+
+  try {
+    const url = await exportProductUSDZ(product, appState.productModel);
+    link.href = url;
+    link.lastChild.textContent = "📱 View in AR";
+    link.classList.remove("preparing");
+    diagLog('Quick Look ready for ' + product.id);
+  } catch (err) {
+    console.error('USDZ export failed:', err);
+    diagLog('USDZ export failed: ' + (err && err.message ? err.message : String(err)), 'general', 'error');
+    link.lastChild.textContent = "❌ AR Not Available";
+  }
+}
+
+// Export a product (materials and textures included) to a USDZ blob URL at
+// the same real-world or auto scale used for WebXR placement
+async function exportProductUSDZ(product, sourceModel) {
+  const model = createPlacedModel(product, sourceModel);
+  model.updateMatrixWorld(true);
+
+  const exporter = new USDZExporter();
+  const usdz = await exporter.parse(model, { quickLookCompatible: true });
+  const blob = new Blob([usdz], { type: "model/vnd.usdz+zip" });
+  return URL.createObjectURL(blob);
+}
+
 // ============================================================================
 // Update Status Display
 // ============================================================================
@@ -705,6 +2593,127 @@ function updateStatus(message) {
   }
 }
 
+// ============================================================================
+// Offline Support (service worker in sw.js)
+// ============================================================================
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    diagLog('Service workers not supported, offline mode unavailable', 'general', 'debug');
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data && event.data.type === "asset-cached") {
+      updateOfflineIndicator();
+    }
+  });
+
+  navigator.serviceWorker.register("sw.js")
+    .then((registration) => {
+      diagLog('Service worker registered: ' + registration.scope, 'general', 'debug');
+      return navigator.serviceWorker.ready;
+    })
+    .then(() => cacheProductForOffline(appState.currentProduct))
+    .catch((err) => {
+      console.warn("Service worker registration failed:", err);
+      diagLog('Service worker registration failed: ' + (err && err.message ? err.message : String(err)), 'general', 'warn');
+    });
+}
+
+// Ask the worker to store the product's model and thumbnail so it opens
+// offline next time, even if they were fetched before the worker took over
+async function cacheProductForOffline(product) {
+  if (!product || !("serviceWorker" in navigator)) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const urls = [product.modelUrl, product.thumbnail]
+    .filter(Boolean)
+    .map((url) => new URL(url, window.location.href).href);
+  if (registration.active) {
+    registration.active.postMessage({ type: "cache-assets", urls });
+  }
+  updateOfflineIndicator();
+}
+
+// "Available offline" once the app shell and the current model are cached
+async function updateOfflineIndicator() {
+  const badge = document.getElementById("offlineBadge");
+  const product = appState.currentProduct;
+  if (!badge || !product || !window.caches) return;
+
+  try {
+    const [shell, model] = await Promise.all([
+      caches.match(new URL("app.js", window.location.href).href),
+      caches.match(new URL(product.modelUrl, window.location.href).href),
+    ]);
+    badge.classList.toggle("visible", !!(shell && model));
+  } catch (e) {
+    // Cache storage unavailable (e.g. private mode); leave the badge hidden
+  }
+}
+
+// ============================================================================
+// Installable App (manifest.webmanifest)
+// ============================================================================
+function isStandalone() {
+  return window.matchMedia("(display-mode: standalone)").matches ||
+    window.matchMedia("(display-mode: fullscreen)").matches ||
+    window.navigator.standalone === true; // iOS home screen
+}
+
+// body.standalone hides the browser-only UI (marked .browser-only)
+function applyDisplayMode() {
+  const standalone = isStandalone();
+  document.body.classList.toggle("standalone", standalone);
+  setDiagnosticsField('display mode', standalone ? 'standalone' : 'browser');
+  return standalone;
+}
+
+// Offer our own install button where the browser supports it, or the Add to
+// Home Screen hint on iOS. Launched from the home screen, neither is shown.
+function setupInstallPrompt() {
+  if (applyDisplayMode()) {
+    diagLog('Running as an installed app', 'general', 'debug');
+  }
+
+  // Desktop installs can move between a tab and an app window
+  window.matchMedia("(display-mode: standalone)").addEventListener("change", () => {
+    diagLog('Display mode changed: ' + (applyDisplayMode() ? 'standalone' : 'browser'));
+  });
+
+  // iOS has no install prompt, only Share > Add to Home Screen
+  const installHint = document.getElementById("installHint");
+  if (installHint && supportsQuickLook()) {
+    installHint.classList.add("visible");
+    installHint.addEventListener("click", () => installHint.classList.remove("visible"));
+  }
+
+  const installBtn = document.getElementById("installBtn");
+  if (!installBtn) return;
+
+  let deferredPrompt = null;
+  window.addEventListener("beforeinstallprompt", (event) => {
+    event.preventDefault();
+    deferredPrompt = event;
+    installBtn.classList.add("available");
+  });
+
+  installBtn.addEventListener("click", async () => {
+    if (!deferredPrompt) return;
+    installBtn.classList.remove("available");
+    deferredPrompt.prompt();
+    const { outcome } = await deferredPrompt.userChoice;
+    diagLog('Install prompt: ' + outcome);
+    deferredPrompt = null;
+  });
+
+  window.addEventListener("appinstalled", () => {
+    installBtn.classList.remove("available");
+    deferredPrompt = null;
+    diagLog('App installed');
+  });
+}
+
 // ============================================================================
 // Window Resize Handler
 // ============================================================================
@@ -718,54 +2727,55 @@ function onWindowResize() {
 }
 
 // ============================================================================
-// Diagnostics Overlay (helps debug on mobile without remote console)
-// ============================================================================
-function createDiagnosticsOverlay() {
-  const diag = document.createElement('div');
-  diag.id = 'diagnostics';
-  diag.style.position = 'absolute';
-  diag.style.top = '8px';
-  diag.style.right = '8px';
-  diag.style.zIndex = '9999';
-  diag.style.padding = '8px 12px';
-  diag.style.background = 'rgba(0,0,0,0.6)';
-  diag.style.color = 'white';
-  diag.style.fontSize = '12px';
-  diag.style.borderRadius = '6px';
-  diag.style.maxWidth = '220px';
-  diag.style.lineHeight = '1.3';
-  diag.innerHTML = '<strong>Diagnostics</strong><br>Checking...';
-  document.body.appendChild(diag);
-
-  // Check basic capabilities
-  (async () => {
-    const parts = [];
-    parts.push(`<div style="word-break:break-word">UA: ${navigator.userAgent}</div>`);
-
-    if (navigator.xr && navigator.xr.isSessionSupported) {
-      try {
-        const supported = await navigator.xr.isSessionSupported('immersive-ar');
-        parts.push(`<div>immersive-ar: ${supported}</div>`);
-      } catch (e) {
-        parts.push(`<div>immersive-ar: error</div>`);
-      }
-    } else {
-      parts.push('<div>WebXR: not available</div>');
-    }
+// Debug Mode (diagnostics overlay and camera test are hidden in production)
+// ============================================================================
+const DEBUG_GESTURE_TAPS = 5;
+const DEBUG_GESTURE_WINDOW_MS = 2000;
+const DEBUG_GESTURE_CORNER_PX = 48;
+
+function applyDebugUI() {
+  if (isDebugEnabled()) {
+    createDiagnosticsOverlay({
+      onDisableDebug: () => {
+        setDebugEnabled(false);
+        applyDebugUI();
+        diagLog('Debug mode disabled');
+      },
+    });
+    if (!document.getElementById('cameraTestBtn')) createCameraTestButton();
+  } else {
+    removeDiagnosticsOverlay();
+    const btn = document.getElementById('cameraTestBtn');
+    if (btn) btn.remove();
+  }
+}
 
-    // camera permission state (may not be supported by all browsers)
-    if (navigator.permissions && navigator.permissions.query) {
-      try {
-        const p = await navigator.permissions.query({ name: 'camera' });
-        parts.push(`<div>camera perm: ${p.state}</div>`);
-      } catch (e) {
-        // ignore
-      }
+// Hidden gesture: tap the top-right corner five times quickly to toggle debug
+// mode (the top-left corner holds the lighting toggle). Works in the preview
+// and in AR (through the DOM overlay). Taps on buttons there (install) or on
+// the diagnostics overlay don't count; the overlay has its own "Disable
+// debug" button.
+function setupDebugGesture() {
+  let taps = [];
+  document.addEventListener('pointerdown', (event) => {
+    const target = event.target instanceof Element ? event.target : null;
+    const onControl = target && target.closest('button, a, #diagnostics');
+    if (onControl || window.innerWidth - event.clientX > DEBUG_GESTURE_CORNER_PX || event.clientY > DEBUG_GESTURE_CORNER_PX) {
+      taps = [];
+      return;
     }
 
-    diag.innerHTML = '<strong>Diagnostics</strong><br>' + parts.join('');
-    diagEl = diag;
-  })();
+    const now = performance.now();
+    taps = taps.filter((t) => now - t < DEBUG_GESTURE_WINDOW_MS);
+    taps.push(now);
+    if (taps.length < DEBUG_GESTURE_TAPS) return;
+
+    taps = [];
+    setDebugEnabled(!isDebugEnabled());
+    applyDebugUI();
+    updateStatus(isDebugEnabled() ? 'Debug mode on' : 'Debug mode off');
+    diagLog(isDebugEnabled() ? 'Debug mode enabled' : 'Debug mode disabled');
+  }, true);
 }
 
 // ============================================================================
@@ -794,7 +2804,7 @@ async function testCamera() {
   diagLog('Starting getUserMedia camera test...');
   try {
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      diagLog('getUserMedia not supported in this browser');
+      diagLog('getUserMedia not supported in this browser', 'general', 'warn');
       alert('getUserMedia not supported in this browser');
       return;
     }
@@ -829,64 +2839,74 @@ async function testCamera() {
       diagLog('Camera test ended and stream stopped');
     }, 6000);
   } catch (err) {
-    diagLog('getUserMedia failed: ' + (err && err.message ? err.message : String(err)));
+    diagLog('getUserMedia failed: ' + (err && err.message ? err.message : String(err)), 'general', 'error');
     alert('Camera test failed: ' + (err && err.message ? err.message : String(err)));
   }
 }
 
-function diagLog(msg) {
-  try {
-    console.log('DIAG:', msg);
-    if (diagEl) {
-      const p = document.createElement('div');
-      p.textContent = msg;
-      diagEl.appendChild(p);
-    }
-  } catch (e) {
-    console.warn('diagLog failed', e);
-  }
-}
-
 // ============================================================================
 // Application Entry Point
 // ============================================================================
 async function main() {
   try {
     // Initialize scene first
+    initDebugMode();
+
+    // Installed launch (kiosk tablets, staff phones) vs. a browser tab
+    setupInstallPrompt();
+
     console.log("Initializing scene...");
     await initScene();
     console.log("Scene initialized successfully");
 
-    // Attach start AR handler
+    // Attach start AR handler; the button stays disabled until the model
+    // is ready, which initScene() guarantees by now
     const startBtn = document.getElementById("startAR");
     if (startBtn) {
-      startBtn.addEventListener("click", startAR);
+      startBtn.addEventListener("click", onStartARClick);
+      startBtn.disabled = false;
       console.log("AR button ready");
     }
 
-    // Check WebXR support
-    if (!navigator.xr) {
-      console.warn("WebXR not supported on this device");
-      alert("WebXR not supported on this device");
-      if (startBtn) {
-        startBtn.disabled = true;
-        startBtn.textContent = "❌ WebXR Not Supported";
-      }
-      // Fallback: show model in-screen for desktop users
-      enableNonXRPreview();
+    // Cache the app shell and product models for unreliable connections
+    registerServiceWorker();
+
+    // Pick how this device gets to AR: WebXR, else the platform AR viewer,
+    // else the in-page preview only
+    if (await isImmersiveARSupported()) {
+      setARPath("webxr");
     } else {
-      console.log("WebXR is available");
-      // Check whether immersive-ar is actually supported, otherwise fallback
-      try {
-        const supported = await navigator.xr.isSessionSupported('immersive-ar');
-        console.log('immersive-ar supported:', supported);
-        if (!supported) {
-          enableNonXRPreview();
+      if (supportsQuickLook()) {
+        // iOS Safari: real AR through Quick Look instead of WebXR
+        setARPath("quick-look");
+        offerQuickLook(startBtn);
+      } else if (isAndroid() && !sceneViewerFailed()) {
+        // Android without immersive-ar: hand off to Google Scene Viewer
+        setARPath("scene-viewer");
+        offerSceneViewer(startBtn);
+      } else if (isAndroid()) {
+        // Came back through Scene Viewer's fallback URL: no ARCore here
+        setARPath("preview");
+        setDiagnosticsField('Scene Viewer', 'failed (no ARCore)');
+        diagLog('Scene Viewer unavailable, using preview', 'session', 'warn');
+        if (startBtn) {
+          startBtn.disabled = true;
+          startBtn.textContent = "❌ AR Not Available";
+        }
+      } else {
+        setARPath("preview");
+        if (!navigator.xr) {
+          // The alert is a browser-tab hint; installed launches (kiosks)
+          // only get the button text
+          if (!isStandalone()) alert("WebXR not supported on this device");
+          if (startBtn) {
+            startBtn.disabled = true;
+            startBtn.textContent = "❌ WebXR Not Supported";
+          }
         }
-      } catch (e) {
-        console.warn('isSessionSupported call failed', e);
-        enableNonXRPreview();
       }
+      // Fallback: show model in-screen for desktop users
+      enableNonXRPreview();
     }
   } catch (error) {
     console.error("Failed to initialize app:", error);
@@ -0,0 +1,312 @@
+// ============================================================================
+// Diagnostics: leveled, categorized log in a bounded ring buffer, shown in a
+// collapsible overlay and exportable as a JSON bundle for bug reports
+// ============================================================================
+
+import { downloadBlob } from './download.js';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Categories entries are filed under; anything else is logged as 'general'
+const LOG_CATEGORIES = ['session', 'hit-test', 'placement', 'anchors', 'general'];
+
+const BUFFER_CAPACITY = 500; // Entries kept for export
+const OVERLAY_MAX_LINES = 40; // Entries rendered in the overlay
+
+const LEVEL_COLORS = { debug: '#9e9e9e', info: '#ffffff', warn: '#ffcc66', error: '#ff6b6b' };
+
+// Fixed-size ring buffer: `next` is where the following entry goes
+const buffer = new Array(BUFFER_CAPACITY);
+let next = 0;
+let count = 0;
+let dropped = 0;
+
+// Overlay state
+let overlayEl = null;
+let logEl = null;
+let fieldsEl = null;
+let overlayLevel = 'info';
+
+// Debug mode: turned on with ?debug=1 (remembered in localStorage, cleared
+// with ?debug=0) or at runtime via setDebugEnabled()
+const DEBUG_STORAGE_KEY = 'arSandwich.debug';
+let debugEnabled = false;
+
+// Key/value facts shown at the top of the overlay and included in exports
+const fields = new Map();
+const deviceInfo = {};
+
+// ----------------------------------------------------------------------------
+// Logging
+// ----------------------------------------------------------------------------
+export function diagLog(msg, category = 'general', level = 'info') {
+  try {
+    if (!(level in LOG_LEVELS)) level = 'info';
+    if (!LOG_CATEGORIES.includes(category)) category = 'general';
+    const entry = { time: new Date().toISOString(), level, category, message: String(msg) };
+
+    if (count === BUFFER_CAPACITY) dropped++;
+    buffer[next] = entry;
+    next = (next + 1) % BUFFER_CAPACITY;
+    count = Math.min(count + 1, BUFFER_CAPACITY);
+
+    // Production consoles only get warnings and errors
+    if (debugEnabled || LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+      const consoleMethod = level === 'error' ? 'error' : level === 'warn' ? 'warn' : level === 'debug' ? 'debug' : 'log';
+      console[consoleMethod](`DIAG [${category}]:`, entry.message);
+    }
+
+    if (LOG_LEVELS[level] >= LOG_LEVELS[overlayLevel]) {
+      appendOverlayLine(entry);
+    }
+  } catch (e) {
+    console.warn('diagLog failed', e);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Debug Mode
+// ----------------------------------------------------------------------------
+export function initDebugMode() {
+  const param = new URLSearchParams(window.location.search).get('debug');
+  try {
+    if (param === '1') {
+      localStorage.setItem(DEBUG_STORAGE_KEY, '1');
+    } else if (param === '0') {
+      localStorage.removeItem(DEBUG_STORAGE_KEY);
+    }
+    debugEnabled = localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+  } catch (e) {
+    // Storage blocked (private mode etc.): the query parameter still works
+    debugEnabled = param === '1';
+  }
+  overlayLevel = debugEnabled ? 'debug' : 'info';
+  return debugEnabled;
+}
+
+export function isDebugEnabled() {
+  return debugEnabled;
+}
+
+export function setDebugEnabled(enabled) {
+  debugEnabled = enabled;
+  overlayLevel = enabled ? 'debug' : 'info';
+  try {
+    if (enabled) {
+      localStorage.setItem(DEBUG_STORAGE_KEY, '1');
+    } else {
+      localStorage.removeItem(DEBUG_STORAGE_KEY);
+    }
+  } catch (e) {
+    // ignore, the flag still applies to this page load
+  }
+}
+
+// Buffered entries, oldest first
+export function getDiagnosticsEntries() {
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    entries.push(buffer[(next - count + i + BUFFER_CAPACITY) % BUFFER_CAPACITY]);
+  }
+  return entries;
+}
+
+export function setDiagnosticsField(name, value) {
+  fields.set(name, value);
+  renderFields();
+}
+
+// ----------------------------------------------------------------------------
+// Overlay
+// ----------------------------------------------------------------------------
+// `onDisableDebug` backs the header's "Disable debug" button, the way out of
+// debug mode on installed launches with no URL bar for ?debug=0
+export function createDiagnosticsOverlay({ onDisableDebug } = {}) {
+  if (overlayEl) return overlayEl;
+
+  const diag = document.createElement('div');
+  diag.id = 'diagnostics';
+  diag.style.position = 'absolute';
+  diag.style.top = '8px';
+  diag.style.right = '8px';
+  diag.style.zIndex = '9999';
+  diag.style.padding = '8px 12px';
+  diag.style.background = 'rgba(0,0,0,0.6)';
+  diag.style.color = 'white';
+  diag.style.fontSize = '12px';
+  diag.style.borderRadius = '6px';
+  diag.style.maxWidth = '240px';
+  diag.style.lineHeight = '1.3';
+
+  const header = document.createElement('div');
+  header.style.display = 'flex';
+  header.style.justifyContent = 'space-between';
+  header.style.alignItems = 'center';
+  header.style.gap = '8px';
+  header.style.cursor = 'pointer';
+  const title = document.createElement('strong');
+  title.textContent = 'Diagnostics';
+  const toggle = document.createElement('span');
+  toggle.textContent = '▾';
+  header.append(title);
+  if (onDisableDebug) {
+    const disableBtn = createActionButton('Disable debug', onDisableDebug);
+    disableBtn.style.flex = '0 0 auto';
+    disableBtn.style.marginLeft = 'auto';
+    header.append(disableBtn);
+  }
+  header.append(toggle);
+
+  const body = document.createElement('div');
+
+  fieldsEl = document.createElement('div');
+  fieldsEl.style.wordBreak = 'break-word';
+
+  const actions = document.createElement('div');
+  actions.style.display = 'flex';
+  actions.style.gap = '6px';
+  actions.style.margin = '6px 0';
+  actions.append(
+    createActionButton('Copy', copyDiagnostics),
+    createActionButton('Download', downloadDiagnostics)
+  );
+
+  logEl = document.createElement('div');
+  logEl.style.maxHeight = '35vh';
+  logEl.style.overflowY = 'auto';
+
+  body.append(fieldsEl, actions, logEl);
+  diag.append(header, body);
+
+  header.addEventListener('click', () => {
+    const collapsed = body.style.display !== 'none';
+    body.style.display = collapsed ? 'none' : '';
+    toggle.textContent = collapsed ? '▸' : '▾';
+  });
+
+  document.body.appendChild(diag);
+  overlayEl = diag;
+
+  // Show what is already buffered
+  for (const entry of getDiagnosticsEntries().slice(-OVERLAY_MAX_LINES)) {
+    if (LOG_LEVELS[entry.level] >= LOG_LEVELS[overlayLevel]) appendOverlayLine(entry);
+  }
+
+  collectDeviceInfo();
+  return diag;
+}
+
+export function removeDiagnosticsOverlay() {
+  if (!overlayEl) return;
+  overlayEl.remove();
+  overlayEl = null;
+  logEl = null;
+  fieldsEl = null;
+}
+
+function createActionButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.textContent = label;
+  btn.style.flex = '1';
+  btn.style.padding = '4px 6px';
+  btn.style.border = 'none';
+  btn.style.borderRadius = '4px';
+  btn.style.background = 'rgba(255,255,255,0.85)';
+  btn.style.color = '#333';
+  btn.style.fontSize = '11px';
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return btn;
+}
+
+function appendOverlayLine(entry) {
+  if (!logEl) return;
+
+  const line = document.createElement('div');
+  line.style.color = LEVEL_COLORS[entry.level];
+  line.textContent = `[${entry.category}] ${entry.message}`;
+  logEl.appendChild(line);
+
+  // Keep the overlay's DOM bounded; the full history lives in the buffer
+  while (logEl.childElementCount > OVERLAY_MAX_LINES) {
+    logEl.removeChild(logEl.firstChild);
+  }
+  logEl.scrollTop = logEl.scrollHeight;
+}
+
+function renderFields() {
+  if (!fieldsEl) return;
+  fieldsEl.innerHTML = '';
+  for (const [name, value] of fields) {
+    const row = document.createElement('div');
+    row.textContent = `${name}: ${value}`;
+    fieldsEl.appendChild(row);
+  }
+}
+
+// Basic capabilities, shown as fields and kept for the export bundle
+async function collectDeviceInfo() {
+  deviceInfo.userAgent = navigator.userAgent;
+  deviceInfo.platform = navigator.platform;
+  deviceInfo.language = navigator.language;
+  deviceInfo.screen = `${window.screen.width}x${window.screen.height}@${window.devicePixelRatio}`;
+  deviceInfo.viewport = `${window.innerWidth}x${window.innerHeight}`;
+  setDiagnosticsField('UA', navigator.userAgent);
+
+  if (navigator.xr && navigator.xr.isSessionSupported) {
+    try {
+      deviceInfo.immersiveAR = await navigator.xr.isSessionSupported('immersive-ar');
+    } catch (e) {
+      deviceInfo.immersiveAR = 'error';
+    }
+    setDiagnosticsField('immersive-ar', deviceInfo.immersiveAR);
+  } else {
+    deviceInfo.immersiveAR = 'WebXR not available';
+    setDiagnosticsField('WebXR', 'not available');
+  }
+
+  // camera permission state (may not be supported by all browsers)
+  if (navigator.permissions && navigator.permissions.query) {
+    try {
+      const p = await navigator.permissions.query({ name: 'camera' });
+      deviceInfo.cameraPermission = p.state;
+      setDiagnosticsField('camera perm', p.state);
+    } catch (e) {
+      // ignore
+    }
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Export
+// ----------------------------------------------------------------------------
+export function getDiagnosticsBundle() {
+  return {
+    generatedAt: new Date().toISOString(),
+    url: window.location.href,
+    device: { ...deviceInfo },
+    fields: Object.fromEntries(fields),
+    droppedEntries: dropped,
+    entries: getDiagnosticsEntries(),
+  };
+}
+
+async function copyDiagnostics() {
+  const json = JSON.stringify(getDiagnosticsBundle(), null, 2);
+  try {
+    await navigator.clipboard.writeText(json);
+    diagLog('Diagnostics copied to clipboard');
+  } catch (e) {
+    diagLog('Clipboard not available, downloading instead', 'general', 'warn');
+    downloadDiagnostics();
+  }
+}
+
+function downloadDiagnostics() {
+  const json = JSON.stringify(getDiagnosticsBundle(), null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  downloadBlob(url, `diagnostics-${Date.now()}.json`);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,14 @@
+// ============================================================================
+// Download helper shared by screenshots, clips and the diagnostics export
+// ============================================================================
+
+// Save a (blob or data) URL under `filename` through a temporary link. The
+// caller owns the URL and revokes it when it is no longer needed.
+export function downloadBlob(url, filename) {
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
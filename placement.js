@@ -0,0 +1,80 @@
+import * as THREE from "./three.module.js";
+
+// ============================================================================
+// Placed Item Transforms (no DOM access, so tests can import this module)
+// ============================================================================
+// Each placed item is a small transform stack:
+//   anchorGroup  - follows the XRAnchor pose (or a fixed pose without anchors)
+//     content    - user's local offset, rotation and scale (gestures)
+//       model    - product clone, carrying only its real-world/auto scale
+// Poses are written into anchorGroup.matrix and never mixed with the
+// user transform, so nothing accumulates from frame to frame.
+export function createPlacedAnchor(anchor, poseMatrix, model) {
+  const anchorGroup = new THREE.Group();
+  anchorGroup.name = "placedAnchor";
+  anchorGroup.matrixAutoUpdate = false;
+  anchorGroup.matrix.copy(poseMatrix);
+
+  const content = new THREE.Group();
+  content.name = "placedContent";
+  anchorGroup.add(content);
+  content.add(model);
+
+  return { anchor, anchorGroup, content, model, productId: model.userData.productId, contactShadow: null };
+}
+
+// Bounding box in the model's own units, ignoring its own transform and
+// any posed parents (content/anchorGroup) it sits under. The selection ring
+// is left out so it can't grow later measurements.
+export function getNativeBox(model) {
+  const parent = model.parent;
+  const index = parent ? parent.children.indexOf(model) : -1;
+  const ring = model.userData.selectionRing;
+  if (parent) parent.remove(model);
+  if (ring) model.remove(ring);
+
+  const matrixAutoUpdate = model.matrixAutoUpdate;
+  const matrix = model.matrix.clone();
+  const position = model.position.clone();
+  const quaternion = model.quaternion.clone();
+  const scale = model.scale.clone();
+
+  model.matrixAutoUpdate = true;
+  model.position.set(0, 0, 0);
+  model.quaternion.identity();
+  model.scale.set(1, 1, 1);
+  model.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(model);
+
+  model.matrixAutoUpdate = matrixAutoUpdate;
+  model.position.copy(position);
+  model.quaternion.copy(quaternion);
+  model.scale.copy(scale);
+  model.matrix.copy(matrix);
+
+  if (ring) model.add(ring);
+  if (parent) {
+    parent.add(model);
+    // Back to its original slot among the siblings
+    parent.children.splice(parent.children.indexOf(model), 1);
+    parent.children.splice(index, 0, model);
+  }
+  model.updateMatrixWorld(true);
+  return box;
+}
+
+// Move each tracked item's anchorGroup to its anchor's pose for this frame
+export function updatePlacedAnchors(entries, frame, referenceSpace) {
+  for (const entry of entries) {
+    // Only the anchor pose changes per frame; untracked anchors keep the last one
+    if (entry.isDragging || !entry.anchor || !frame.trackedAnchors?.has(entry.anchor)) continue;
+
+    const pose = frame.getPose(entry.anchor.anchorSpace, referenceSpace);
+    if (pose) {
+      entry.anchorGroup.matrix.fromArray(pose.transform.matrix);
+      entry.anchorGroup.matrixWorldNeedsUpdate = true;
+      // Restored anchors stay hidden until their first tracked pose
+      entry.anchorGroup.visible = true;
+    }
+  }
+}
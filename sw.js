@@ -0,0 +1,167 @@
+// ============================================================================
+// Service Worker: offline app shell and cached product models
+// ============================================================================
+// The shell is served from the cache and refreshed in the background on
+// every load, so a deploy reaches clients on their next visit without any
+// version bump here. Installing only seeds the cache for offline use.
+const SHELL_CACHE = "ar-sandwich-shell";
+// Models and textures outlive app deploys: re-downloading every GLB after
+// each release is exactly what flaky restaurant Wi-Fi can't afford
+const ASSET_CACHE = "ar-sandwich-assets";
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "app.js",
+  "diagnostics.js",
+  "download.js",
+  "placement.js",
+  "catalog.json",
+  "three.module.js",
+  "GLTFLoader.js",
+  "DRACOLoader.js",
+  "meshopt_decoder.module.js",
+  "draco/draco_wasm_wrapper.js",
+  "draco/draco_decoder.wasm",
+  "KTX2Loader.js",
+  "WorkerPool.js",
+  "ktx-parse.module.js",
+  "zstddec.module.js",
+  "basis/basis_transcoder.js",
+  "basis/basis_transcoder.wasm",
+  "OrbitControls.js",
+  "USDZExporter.js",
+  "RGBELoader.js",
+  "RoomEnvironment.js",
+  "TextureUtils.js",
+  "fflate.module.js",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png",
+  "icons/apple-touch-icon.png",
+];
+
+// Models, textures and environment maps referenced from the catalog
+const ASSET_PATTERN = /\.(glb|gltf|bin|hdr|ktx2|png|jpe?g|webp)$/i;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Caches from the old versioned naming go; the current ones are kept
+  const current = [SHELL_CACHE, ASSET_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("ar-sandwich-") && !current.includes(key))
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname.endsWith("/catalog.json")) {
+    // The catalog changes with the menu, so prefer the network
+    event.respondWith(networkFirst(request));
+  } else if (ASSET_PATTERN.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, request, ASSET_CACHE));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE));
+  }
+});
+
+// The page asks for the current product's files up front, since the first
+// visit loads them before this worker controls it
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "cache-assets" && Array.isArray(event.data.urls)) {
+    event.waitUntil(cacheAssets(event.data.urls));
+  }
+});
+
+async function cacheAssets(urls) {
+  const cache = await caches.open(ASSET_CACHE);
+  for (const url of urls) {
+    try {
+      if (await cache.match(url)) continue;
+      const response = await fetch(url);
+      if (isCacheable(response)) {
+        await cache.put(url, response);
+        notifyClients({ type: "asset-cached", url });
+      }
+    } catch (err) {
+      // Offline or missing file: the runtime cache picks it up next time
+    }
+  }
+}
+
+// ============================================================================
+// Strategies
+// ============================================================================
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Serve from the cache straight away and refresh the cached copy in the
+// background for the next visit. Shell files are keyed without the query
+// string, so deep links (?product=...) share the cached index.html.
+async function staleWhileRevalidate(event, request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const isShell = cacheName === SHELL_CACHE;
+  const key = isShell ? request.url.split("?")[0] : request;
+  // Any cache: app icons are precached with the shell
+  const cached = await caches.match(key);
+
+  // Shell files are fetched by URL (navigation requests can't take an init)
+  // and skip the HTTP cache so a deploy is picked up right away
+  const update = (isShell ? fetch(key, { cache: "no-cache" }) : fetch(request))
+    .then(async (response) => {
+      if (isCacheable(response)) {
+        await cache.put(key, response.clone());
+        if (!isShell) notifyClients({ type: "asset-cached", url: request.url });
+      }
+      return response;
+    });
+
+  if (cached) {
+    // Keep the worker alive until the refresh is stored; ignore failures
+    // (offline) since the cached copy was already served
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+function isCacheable(response) {
+  return response && response.status === 200 && response.type === "basic";
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll();
+  for (const client of clients) {
+    client.postMessage(message);
+  }
+}
@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "../three.module.js";
+import { createPlacedAnchor, updatePlacedAnchors, getNativeBox } from "../placement.js";
+
+const referenceSpace = { name: "local-floor" };
+
+// XRFrame stand-in: trackedAnchors plus getPose() returning whatever pose
+// the test sets for an anchor's space
+function createFrame(poses) {
+  const calls = [];
+  return {
+    calls,
+    trackedAnchors: new Set(poses.keys()),
+    getPose(space, baseSpace) {
+      calls.push({ space, baseSpace });
+      const matrix = poses.get([...poses.keys()].find((anchor) => anchor.anchorSpace === space));
+      return matrix ? { transform: { matrix: new Float32Array(matrix.elements) } } : null;
+    },
+  };
+}
+
+function createAnchor() {
+  return { anchorSpace: {} };
+}
+
+function poseAt(x, y, z, yaw) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3(x, y, z),
+    new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw),
+    new THREE.Vector3(1, 1, 1)
+  );
+}
+
+function createEntry(anchor, pose = new THREE.Matrix4()) {
+  const model = new THREE.Object3D();
+  model.userData.productId = "sandwich";
+  model.scale.setScalar(0.5); // Placement scale
+  return createPlacedAnchor(anchor, pose, model);
+}
+
+function assertMatrixClose(actual, expected, epsilon = 1e-6) {
+  actual.elements.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected.elements[i]) < epsilon, `element ${i}: ${value} != ${expected.elements[i]}`);
+  });
+}
+
+test("createPlacedAnchor builds the anchorGroup > content > model stack", () => {
+  const pose = poseAt(1, 0, -2, 0.3);
+  const entry = createEntry(createAnchor(), pose);
+
+  assert.equal(entry.anchorGroup.matrixAutoUpdate, false);
+  assert.deepEqual(entry.anchorGroup.matrix.elements, pose.elements);
+  assert.equal(entry.content.parent, entry.anchorGroup);
+  assert.equal(entry.model.parent, entry.content);
+  assert.equal(entry.productId, "sandwich");
+});
+
+test("updatePlacedAnchors only writes anchorGroup.matrix", () => {
+  const anchor = createAnchor();
+  const entry = createEntry(anchor);
+  entry.content.position.set(0.02, 0, 0.01);
+  entry.content.rotation.y = Math.PI / 3;
+  entry.content.scale.setScalar(1.5);
+
+  const contentBefore = {
+    position: entry.content.position.clone(),
+    quaternion: entry.content.quaternion.clone(),
+    scale: entry.content.scale.clone(),
+  };
+  const modelScaleBefore = entry.model.scale.clone();
+
+  const pose = poseAt(0.4, 0.8, -1, 1.1);
+  const frame = createFrame(new Map([[anchor, pose]]));
+  updatePlacedAnchors([entry], frame, referenceSpace);
+
+  assertMatrixClose(entry.anchorGroup.matrix, pose);
+  assert.equal(frame.calls.length, 1);
+  assert.equal(frame.calls[0].space, anchor.anchorSpace);
+  assert.equal(frame.calls[0].baseSpace, referenceSpace);
+
+  assert.ok(entry.content.position.equals(contentBefore.position));
+  assert.ok(entry.content.quaternion.equals(contentBefore.quaternion));
+  assert.ok(entry.content.scale.equals(contentBefore.scale));
+  assert.ok(entry.model.scale.equals(modelScaleBefore));
+  assert.equal(entry.content.matrixAutoUpdate, true);
+});
+
+test("content scale and rotation survive repeated frames without drift", () => {
+  const anchor = createAnchor();
+  const entry = createEntry(anchor);
+  entry.content.position.set(0.05, 0, -0.03);
+  entry.content.rotation.y = 0.7;
+  entry.content.scale.setScalar(1.25);
+
+  // Anchor jitters between tracking updates, then settles
+  const poses = [poseAt(0.5, 0.9, -1, 0.2), poseAt(0.501, 0.9, -1.002, 0.21)];
+  for (let i = 0; i < 500; i++) {
+    updatePlacedAnchors([entry], createFrame(new Map([[anchor, poses[i % 2]]])), referenceSpace);
+    entry.anchorGroup.updateMatrixWorld(true);
+  }
+  const finalPose = poseAt(0.5, 0.9, -1, 0.2);
+  updatePlacedAnchors([entry], createFrame(new Map([[anchor, finalPose]])), referenceSpace);
+  entry.anchorGroup.updateMatrixWorld(true);
+
+  assert.equal(entry.content.scale.x, 1.25);
+  assert.equal(entry.content.rotation.y, 0.7);
+
+  const expected = finalPose.clone()
+    .multiply(new THREE.Matrix4().compose(
+      new THREE.Vector3(0.05, 0, -0.03),
+      new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), 0.7),
+      new THREE.Vector3(1.25, 1.25, 1.25)
+    ))
+    .multiply(new THREE.Matrix4().makeScale(0.5, 0.5, 0.5));
+  assertMatrixClose(entry.model.matrixWorld, expected);
+});
+
+test("untracked and dragged items keep their last pose", () => {
+  const tracked = createAnchor();
+  const lost = createAnchor();
+  const startPose = poseAt(1, 0, 0, 0);
+  const draggedEntry = createEntry(tracked, startPose);
+  draggedEntry.isDragging = true;
+  const lostEntry = createEntry(lost, startPose);
+  const unanchoredEntry = createEntry(null, startPose);
+
+  const frame = createFrame(new Map([[tracked, poseAt(2, 0, 0, 0)]]));
+  updatePlacedAnchors([draggedEntry, lostEntry, unanchoredEntry], frame, referenceSpace);
+
+  assert.equal(frame.calls.length, 0);
+  for (const entry of [draggedEntry, lostEntry, unanchoredEntry]) {
+    assert.deepEqual(entry.anchorGroup.matrix.elements, startPose.elements);
+  }
+});
+
+test("restored items become visible on their first tracked pose", () => {
+  const anchor = createAnchor();
+  const entry = createEntry(anchor);
+  entry.anchorGroup.visible = false;
+
+  updatePlacedAnchors([entry], { trackedAnchors: new Set([anchor]), getPose: () => null }, referenceSpace);
+  assert.equal(entry.anchorGroup.visible, false);
+
+  updatePlacedAnchors([entry], createFrame(new Map([[anchor, poseAt(0, 0, -1, 0)]])), referenceSpace);
+  assert.equal(entry.anchorGroup.visible, true);
+});
+
+test("getNativeBox measures in the model's own space under a posed anchor", () => {
+  const anchor = createAnchor();
+  const model = new THREE.Group();
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.1, 0.2));
+  mesh.position.set(0, 0.05, 0);
+  model.add(mesh);
+  model.scale.setScalar(0.5);
+
+  const entry = createPlacedAnchor(anchor, new THREE.Matrix4(), model);
+  const sibling = new THREE.Object3D();
+  entry.content.add(sibling);
+  entry.content.scale.setScalar(2);
+  entry.content.rotation.y = 0.8;
+  updatePlacedAnchors([entry], createFrame(new Map([[anchor, poseAt(0.5, -1, -1.2, 0.4)]])), referenceSpace);
+  entry.anchorGroup.updateMatrixWorld(true);
+
+  // A selection ring wider than the model must not count either
+  const ring = new THREE.Mesh(new THREE.BoxGeometry(1, 0.01, 1));
+  model.add(ring);
+  model.userData.selectionRing = ring;
+
+  const box = getNativeBox(model);
+  const center = box.getCenter(new THREE.Vector3());
+  const size = box.getSize(new THREE.Vector3());
+  assert.ok(center.distanceTo(new THREE.Vector3(0, 0.05, 0)) < 1e-6, `center ${center.toArray()}`);
+  assert.ok(size.distanceTo(new THREE.Vector3(0.2, 0.1, 0.2)) < 1e-6, `size ${size.toArray()}`);
+
+  // The model is back where it was, transform and hierarchy untouched
+  assert.equal(model.parent, entry.content);
+  assert.equal(entry.content.children.indexOf(model), 0);
+  assert.equal(ring.parent, model);
+  assert.equal(model.scale.x, 0.5);
+});